@@ -11,6 +11,7 @@ export default function DashboardPage() {
   const [tab, setTab] = useState<'overview' | 'findings' | 'reports'>('overview');
   const [summary, setSummary] = useState<ScanSummary | null>(null);
   const [findings, setFindings] = useState<ScanFinding[]>([]);
+  const [showSuppressed, setShowSuppressed] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [isScanning, setIsScanning] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -25,7 +26,7 @@ export default function DashboardPage() {
       // Get summary and findings in parallel
       const [summaryData, findingsData] = await Promise.all([
         scanAPI.getSummary(),
-        scanAPI.getFindings()
+        scanAPI.getFindings(undefined, true)
       ]);
       
       setSummary(summaryData.summary);
@@ -129,8 +130,13 @@ export default function DashboardPage() {
     }
   };
 
+  // Suppressed findings are only listed when the toggle is on
+  const suppressedCount = findings.filter(f => f.status === 'suppressed').length;
+  const visibleFindings = showSuppressed ? findings : findings.filter(f => f.status !== 'suppressed');
+
   // Prepare chart data
   const severityData = summary ? [
+    { name: 'Critical', value: summary.critical || 0, color: '#7f1d1d' },
     { name: 'High', value: summary.high, color: '#ef4444' },
     { name: 'Medium', value: summary.medium, color: '#f59e42' },
     { name: 'Low', value: summary.low, color: '#10b981' },
@@ -193,6 +199,9 @@ export default function DashboardPage() {
                 <div>
                   <h3 className="text-xl font-bold mb-2">Security Scanner</h3>
                   <p className="text-gray-400">Run a new security scan to check for sensitive data</p>
+                  {summary?.source && summary.source.type !== 's3' && (
+                    <p className="text-xs text-gray-400 mt-1">Last scan: {summary.source.name} ({summary.source.type})</p>
+                  )}
                 </div>
                 <button
                   onClick={handleRunScan}
@@ -218,17 +227,61 @@ export default function DashboardPage() {
               </div>
             </Card>
 
+            {/* Sampling scan: the counts cover the sample; the estimates cover every object */}
+            {summary?.sampled && summary.sample && (
+              <Card>
+                <h3 className="text-xl font-bold mb-2 flex items-center gap-2">
+                  <AlertTriangle className="w-5 h-5 text-yellow-500" />
+                  Sample Scan
+                </h3>
+                <p className="text-sm text-gray-300 mb-4">
+                  {summary.sample.sampledObjects} of {summary.sample.population} objects scanned
+                  ({summary.sample.percent !== undefined ? `${summary.sample.percent}%` : `up to ${summary.sample.count}`} of
+                  each of {summary.sample.strataCount} prefix and age strata). Issue counts below cover the sampled objects only.
+                </p>
+                {summary.sample.listingTruncatedBuckets?.length > 0 && (
+                  <p className="text-sm text-yellow-400 mb-4">
+                    Listing stopped early in {summary.sample.listingTruncatedBuckets.join(', ')}; the estimates cover only
+                    the objects that were listed, not the whole bucket.
+                  </p>
+                )}
+                {summary.sample.estimates.length > 0 && (
+                  <ul className="space-y-2">
+                    {summary.sample.estimates.map((estimate) => (
+                      <li key={estimate.detector} className="flex items-center justify-between text-sm">
+                        <span className="font-semibold">{estimate.label || estimate.detector}</span>
+                        <span className="text-gray-300">
+                          {(estimate.share * 100).toFixed(2)}% of objects
+                          ({(estimate.lower * 100).toFixed(2)}–{(estimate.upper * 100).toFixed(2)}%, ≈{estimate.estimatedObjects} objects)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <p className="text-xs text-gray-400 mt-3">
+                  {summary.sample.confidence * 100}% confidence intervals. Detectors not found in the sample fire in at
+                  most {(summary.sample.notDetectedUpperBound * 100).toFixed(2)}% of objects.
+                </p>
+              </Card>
+            )}
+
             {/* Summary Cards */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
               <Card className="flex flex-col items-center gap-2">
                 <ShieldCheck className="w-8 h-8 text-brand-accent" />
                 <span className="text-lg font-semibold">Total Issues</span>
                 <span className="text-3xl font-bold">{summary?.totalIssues || 0}</span>
+                <span className="text-xs text-gray-400">
+                  {summary?.uniqueSecrets || 0} unique values in {summary?.totalOccurrences || 0} occurrences
+                </span>
               </Card>
               <Card className="flex flex-col items-center gap-2">
                 <FileText className="w-8 h-8 text-red-500" />
                 <span className="text-lg font-semibold">High Severity</span>
                 <span className="text-3xl font-bold text-red-500">{summary?.high || 0}</span>
+                {(summary?.critical || 0) > 0 && (
+                  <Badge color="crimson">{summary?.critical} critical</Badge>
+                )}
               </Card>
               <Card className="flex flex-col items-center gap-2">
                 <DollarSign className="w-8 h-8 text-green-500" />
@@ -273,6 +326,59 @@ export default function DashboardPage() {
               </div>
             </Card>
 
+            {/* Compliance Frameworks */}
+            {summary?.frameworks && summary.frameworks.length > 0 && (
+              <Card>
+                <h3 className="text-xl font-bold mb-4 flex items-center gap-2">
+                  <ShieldCheck className="w-5 h-5 text-brand-accent" />
+                  Compliance Frameworks
+                </h3>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  {summary.frameworks.map((framework) => (
+                    <div key={framework.key} className="rounded-xl bg-white/10 p-4">
+                      <div className="flex items-center justify-between mb-3">
+                        <span className="font-semibold">{framework.name}</span>
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm text-gray-300">{framework.score}%</span>
+                          <Badge color={framework.status === 'pass' ? 'green' : framework.status === 'fail' ? 'red' : framework.status === 'partial' ? 'yellow' : 'default'}>
+                            {framework.status === 'pass' ? 'Pass' : framework.status === 'fail' ? 'Fail' : framework.status === 'partial' ? 'Partial' : 'Not evaluated'}
+                          </Badge>
+                        </div>
+                      </div>
+                      <ul className="space-y-2">
+                        {framework.controls.map((control) => (
+                          <li key={control.id} className="flex items-start gap-2 text-sm">
+                            {control.status === 'pass' ? (
+                              <CheckCircle className="w-4 h-4 text-green-500 mt-0.5 shrink-0" />
+                            ) : control.status === 'fail' ? (
+                              <XCircle className="w-4 h-4 text-red-500 mt-0.5 shrink-0" />
+                            ) : control.status === 'partial' ? (
+                              <AlertTriangle className="w-4 h-4 text-yellow-500 mt-0.5 shrink-0" />
+                            ) : (
+                              <AlertTriangle className="w-4 h-4 text-gray-400 mt-0.5 shrink-0" />
+                            )}
+                            <div>
+                              <span className="font-semibold">{control.id}</span> {control.title}
+                              {(control.findings > 0 || (control.failedBuckets && control.failedBuckets.length > 0)) && (
+                                <div className="text-xs text-gray-400">
+                                  {control.findings > 0 && `${control.findings} findings`}
+                                  {control.findings > 0 && control.failedBuckets && control.failedBuckets.length > 0 && ' · '}
+                                  {control.failedBuckets && control.failedBuckets.length > 0 && `Failing buckets: ${control.failedBuckets.join(', ')}`}
+                                </div>
+                              )}
+                              {control.status === 'partial' && control.unknownBuckets && (
+                                <div className="text-xs text-gray-400">Not checked: {control.unknownBuckets.join(', ')}</div>
+                              )}
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            )}
+
             {/* Charts - Only show if we have data */}
             {severityData.length > 0 && (
               <Card className="col-span-1 md:col-span-3">
@@ -334,6 +440,16 @@ export default function DashboardPage() {
                 <AlertTriangle className="w-5 h-5 text-red-500" />
                 Security Findings
               </h3>
+              {suppressedCount > 0 && (
+                <label className="ml-auto mr-4 flex items-center gap-2 text-sm text-gray-500">
+                  <input
+                    type="checkbox"
+                    checked={showSuppressed}
+                    onChange={(e) => setShowSuppressed(e.target.checked)}
+                  />
+                  Show suppressed ({suppressedCount})
+                </label>
+              )}
               <button
                 onClick={handleRunScan}
                 disabled={isScanning}
@@ -344,7 +460,7 @@ export default function DashboardPage() {
               </button>
             </div>
             
-            {findings.length > 0 ? (
+            {visibleFindings.length > 0 ? (
               <table className="min-w-full text-left">
                 <thead>
                   <tr>
@@ -356,19 +472,49 @@ export default function DashboardPage() {
                   </tr>
                 </thead>
                 <tbody>
-                  {findings.map((finding, i) => (
-                    <tr key={i} className="border-t border-gray-200">
-                      <td className="py-2 px-4">{finding.resource}</td>
+                  {visibleFindings.map((finding, i) => (
+                    <tr key={i} className={`border-t border-gray-200 ${finding.status === 'suppressed' ? 'opacity-60' : ''}`}>
+                      <td className="py-2 px-4">
+                        {finding.resource}
+                        {finding.region && (
+                          <div className="text-xs text-gray-500">{finding.region}</div>
+                        )}
+                        {finding.versionId && finding.noncurrent && (
+                          <div className="text-xs text-gray-500">
+                            Noncurrent version {finding.versionId}
+                            {finding.needsVersionPurge && (
+                              <span className="ml-2"><Badge color="yellow">Purge old versions</Badge></span>
+                            )}
+                          </div>
+                        )}
+                        {finding.location && (
+                          <div className="text-xs text-gray-500">{finding.location}</div>
+                        )}
+                        {finding.snippet && (
+                          <div className="text-xs font-mono text-gray-500 break-all">{finding.snippet}</div>
+                        )}
+                      </td>
                       <td className="py-2 px-4">{finding.type}</td>
                       <td className="py-2 px-4">
                         <Badge color={
+                          finding.severity === 'Critical' ? 'crimson' :
                           finding.severity === 'High' ? 'red' :
                           finding.severity === 'Medium' ? 'yellow' : 'green'
                         }>
                           {finding.severity}
                         </Badge>
+                        {finding.status === 'suppressed' && (
+                          <div className="mt-1"><Badge color="purple">Suppressed</Badge></div>
+                        )}
+                      </td>
+                      <td className="py-2 px-4">
+                        {finding.description || '-'}
+                        {finding.suppressions && finding.suppressions[0] && (
+                          <div className="text-xs text-gray-500">
+                            Accepted by {finding.suppressions[0].owner} until {formatDate(finding.suppressions[0].expiresAt)}: {finding.suppressions[0].justification}
+                          </div>
+                        )}
                       </td>
-                      <td className="py-2 px-4">{finding.description || '-'}</td>
                       <td className="py-2 px-4">{finding.recommendation}</td>
                     </tr>
                   ))}
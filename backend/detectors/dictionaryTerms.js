@@ -0,0 +1,59 @@
+/**
+ * Dictionary Terms Detector
+ * Example detector plugin (see src/utils/detectors.js): flags whole-word occurrences of the
+ * terms listed in DETECTOR_DICTIONARY_TERMS (comma-separated, case-insensitive), such as
+ * internal project code names or customer names. Terms may span several words
+ * ("project falcon"); words in the text may be separated by any run of whitespace.
+ * Finds nothing when no terms are configured.
+ */
+
+const crypto = require('crypto');
+
+const terms = (process.env.DETECTOR_DICTIONARY_TERMS || '')
+  .split(',')
+  .map(term => term.trim().toLowerCase().split(/\s+/).filter(Boolean).join(' '))
+  .filter(Boolean);
+const termSet = new Set(terms);
+const maxWords = terms.reduce((max, term) => Math.max(max, term.split(' ').length), 0);
+
+const wordRegex = /[\p{L}\p{N}_]+(?:[-'][\p{L}\p{N}_]+)*/gu;
+
+module.exports = {
+  key: 'dictionary_terms',
+  label: 'Dictionary Term',
+  severity: 'Medium',
+  description: 'A term from the configured dictionary (DETECTOR_DICTIONARY_TERMS) appears in the object',
+  recommendation: 'Check whether the object should mention this term and restrict access to it if not',
+  // The terms are not part of this file, so results of older term lists must not be reused
+  version: crypto.createHash('sha256').update(terms.join(',')).digest('hex').slice(0, 16),
+
+  detect(text) {
+    if (termSet.size === 0) {
+      return [];
+    }
+
+    const words = [];
+    const matches = [];
+    let found;
+    wordRegex.lastIndex = 0;
+    while ((found = wordRegex.exec(text)) !== null) {
+      // A multi-word term only continues across whitespace
+      if (words.length > 0 && !/^\s+$/.test(text.slice(words[words.length - 1].end, found.index))) {
+        words.length = 0;
+      }
+      words.push({ index: found.index, end: found.index + found[0].length, word: found[0].toLowerCase() });
+      if (words.length > maxWords) {
+        words.shift();
+      }
+
+      // Each term ending at this word, longest first so "project falcon" wins over "falcon"
+      for (let start = 0; start < words.length; start++) {
+        if (termSet.has(words.slice(start).map(entry => entry.word).join(' '))) {
+          matches.push({ index: words[start].index, length: words[words.length - 1].end - words[start].index });
+          break;
+        }
+      }
+    }
+    return matches;
+  }
+};
@@ -14,6 +14,9 @@ const logger = require('./src/utils/logger');
 const authRoutes = require('./src/routes/auth');
 const awsRoutes = require('./src/routes/aws');
 const scanRoutes = require('./src/routes/scan');
+const rulesRoutes = require('./src/routes/rules');
+const suppressionsRoutes = require('./src/routes/suppressions');
+const scopesRoutes = require('./src/routes/scopes');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -66,6 +69,9 @@ app.get('/health', (req, res) => {
 app.use('/auth', authRoutes);
 app.use('/aws', awsRoutes);
 app.use('/scan', scanRoutes);
+app.use('/rules', rulesRoutes);
+app.use('/suppressions', suppressionsRoutes);
+app.use('/scopes', scopesRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
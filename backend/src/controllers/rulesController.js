@@ -0,0 +1,153 @@
+/**
+ * Rules Controller
+ * Manages built-in and custom detection rules
+ */
+
+const rulesService = require('../services/rules');
+const logger = require('../utils/logger');
+
+class RulesController {
+  /**
+   * Send an error response; operational errors from the rules service carry a status code
+   */
+  sendError(res, error, fallback) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) {
+      logger.error(`${fallback}:`, error.message);
+    }
+    res.status(statusCode).json({
+      error: fallback,
+      message: error.message,
+      ...(error.details && { details: error.details }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * List all rules
+   * GET /rules
+   */
+  listRules(req, res) {
+    try {
+      const rules = rulesService.listRules();
+      res.status(200).json({
+        rules,
+        count: rules.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to list rules');
+    }
+  }
+
+  /**
+   * List the detector plugins loaded from the detectors directory
+   * GET /rules/detectors
+   */
+  listDetectors(req, res) {
+    try {
+      const detectors = rulesService.listDetectors();
+      res.status(200).json({
+        detectors,
+        count: detectors.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to list detector plugins');
+    }
+  }
+
+  /**
+   * Get one rule
+   * GET /rules/:key
+   */
+  getRule(req, res) {
+    try {
+      res.status(200).json({
+        rule: rulesService.getRule(req.params.key),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get rule');
+    }
+  }
+
+  /**
+   * Create a custom rule
+   * POST /rules
+   */
+  createRule(req, res) {
+    try {
+      res.status(201).json({
+        rule: rulesService.createRule(req.body),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create rule');
+    }
+  }
+
+  /**
+   * Update a rule
+   * PUT /rules/:key
+   */
+  updateRule(req, res) {
+    try {
+      res.status(200).json({
+        rule: rulesService.updateRule(req.params.key, req.body),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update rule');
+    }
+  }
+
+  /**
+   * Enable or disable a rule
+   * POST /rules/:key/enable, POST /rules/:key/disable
+   */
+  setEnabled(req, res, enabled) {
+    try {
+      res.status(200).json({
+        rule: rulesService.setEnabled(req.params.key, enabled),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, `Failed to ${enabled ? 'enable' : 'disable'} rule`);
+    }
+  }
+
+  /**
+   * Delete a custom rule
+   * DELETE /rules/:key
+   */
+  deleteRule(req, res) {
+    try {
+      res.status(200).json({
+        rule: rulesService.deleteRule(req.params.key),
+        message: 'Rule deleted',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete rule');
+    }
+  }
+
+  /**
+   * Try a rule against sample text
+   * POST /rules/test
+   */
+  testRule(req, res) {
+    try {
+      const { key, rule, text } = req.body || {};
+      res.status(200).json({
+        ...rulesService.testRule({ key, rule, text }),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to test rule');
+    }
+  }
+}
+
+module.exports = new RulesController();
@@ -4,6 +4,15 @@
  */
 
 const scannerService = require('../services/scanner');
+const suppressionsService = require('../services/suppressions');
+const scopeProfilesService = require('../services/scopeProfiles');
+const secretsService = require('../services/secrets');
+const rulesService = require('../services/rules');
+const { normalizeSample } = require('../utils/sampling');
+const { normalizeVersions } = require('../utils/versions');
+const { normalizeSource } = require('../sources');
+const redaction = require('../utils/redaction');
+const { audit } = require('../utils/audit');
 const logger = require('../utils/logger');
 
 class ScanController {
@@ -12,11 +21,49 @@ class ScanController {
     this.cachedResults = {
       summary: null,
       findings: [],
+      results: [],
+      stats: {},
       lastScanTime: null,
       isScanning: false
     };
   }
 
+  /**
+   * Apply the current suppressions to the cached results. Suppressed findings are flagged
+   * (status "suppressed" with the suppressions used) and left out of the summary counts,
+   * score and compliance frameworks; expired suppressions no longer apply. `results` holds
+   * the scan results without the suppressed matches.
+   */
+  currentResults() {
+    const { summary, findings, results, stats } = this.cachedResults;
+    const suppressed = suppressionsService.matchFindings(findings);
+
+    const annotated = findings.map(finding => (suppressed.has(finding.id)
+      ? { ...finding, status: 'suppressed', suppressions: suppressed.get(finding.id) }
+      : { ...finding, status: 'active' }));
+
+    if (suppressed.size === 0) {
+      return { summary: { ...summary, suppressedIssues: 0 }, findings: annotated, results };
+    }
+
+    const activeResults = results
+      .map(result => ({
+        ...result,
+        matches: result.matches.filter(match => !suppressed.has(scannerService.findingId(result, match)))
+      }))
+      .filter(result => result.matches.length > 0 || result.warnings);
+
+    return {
+      summary: {
+        ...scannerService.generateSummary(activeResults, summary.scanDuration, stats),
+        projectStatus: summary.projectStatus,
+        suppressedIssues: suppressed.size
+      },
+      findings: annotated,
+      results: activeResults
+    };
+  }
+
   /**
    * Run a new security scan
    */
@@ -30,8 +77,28 @@ class ScanController {
         });
       }
 
+      // Storage source to scan; AWS S3 unless another configured source is named
+      const body = req.body || {};
+      const { source, errors: sourceErrors } = normalizeSource(body.source, { versions: !!body.versions });
+      if (sourceErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid scan source',
+          message: sourceErrors.join('; '),
+          details: sourceErrors,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Other sources use server-side credentials, but still need a signed-in user
+      if (source !== 's3' && (!req.session || !req.session.user)) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Please log in to access this resource'
+        });
+      }
+
       // Check if user has valid session
-      if (!req.session || !req.session.awsCredentials) {
+      if (source === 's3' && (!req.session || !req.session.awsCredentials)) {
         return res.status(401).json({
           error: 'Unauthorized',
           message: 'Valid AWS session credentials required to run scan'
@@ -39,9 +106,9 @@ class ScanController {
       }
 
       // Validate session credentials
-      if (!req.session.awsCredentials.accessKeyId || 
+      if (source === 's3' && (!req.session.awsCredentials.accessKeyId || 
           !req.session.awsCredentials.secretAccessKey || 
-          !req.session.awsCredentials.sessionToken) {
+          !req.session.awsCredentials.sessionToken)) {
         return res.status(401).json({
           error: 'Invalid credentials',
           message: 'Session credentials are incomplete or invalid'
@@ -49,7 +116,7 @@ class ScanController {
       }
 
       // Check if credentials are expired
-      if (req.session.awsCredentials.expiration && 
+      if (source === 's3' && req.session.awsCredentials.expiration && 
           new Date(req.session.awsCredentials.expiration) <= new Date()) {
         return res.status(401).json({
           error: 'Expired credentials',
@@ -57,29 +124,94 @@ class ScanController {
         });
       }
 
+      // Resolve the scan scope from a saved profile and/or an inline scope
+      let scope;
+      try {
+        scope = scopeProfilesService.resolveScope({ profile: body.profile, scope: body.scope });
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          error: 'Invalid scan scope',
+          message: error.message,
+          ...(error.details && { details: error.details }),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Sampling options for a statistical sample instead of a full content scan
+      const { sample, errors: sampleErrors } = normalizeSample(body.sample);
+      if (sampleErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid sampling options',
+          message: sampleErrors.join('; '),
+          details: sampleErrors,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Noncurrent object versions to scan as well
+      const { versions, errors: versionErrors } = normalizeVersions(body.versions);
+      if (versionErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid version options',
+          message: versionErrors.join('; '),
+          details: versionErrors,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Detector plugins to run, when the request turns some on or off
+      let detectors;
+      try {
+        detectors = rulesService.selectDetectors(body.detectors);
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          error: 'Invalid detector selection',
+          message: error.message,
+          ...(error.details && { details: error.details }),
+          timestamp: new Date().toISOString()
+        });
+      }
+
       // Set scanning flag
       this.cachedResults.isScanning = true;
-      logger.info('Starting new security scan...');
+      logger.info('Starting new security scan...', {
+        source, scope, profile: body.profile || null, sample, versions, detectors: detectors.map(plugin => plugin.key)
+      });
 
-      // Run the scan
-      const scanResults = await scannerService.runScan(req.session);
+      // Run the scan (optional object caps may be supplied in the request body)
+      const scanResults = await scannerService.runScan(req.session, {
+        maxObjectsPerBucket: parseInt(body.maxObjectsPerBucket, 10) || undefined,
+        maxObjectsPerScan: parseInt(body.maxObjectsPerScan, 10) || undefined,
+        scope,
+        scopeProfile: body.profile || null,
+        forceFullScan: body.forceFullScan === true,
+        sample,
+        versions,
+        source,
+        detectors
+      });
       
       // Update cache with results
       this.cachedResults.summary = scanResults.summary;
       this.cachedResults.findings = scanResults.findings;
+      this.cachedResults.results = scanResults.results;
+      this.cachedResults.stats = scanResults.stats;
       this.cachedResults.lastScanTime = new Date().toISOString();
       this.cachedResults.isScanning = false;
 
+      const { summary } = this.currentResults();
       logger.info('Security scan completed successfully', {
-        totalIssues: scanResults.summary.totalIssues,
-        complianceScore: scanResults.summary.complianceScore,
-        scanDuration: scanResults.summary.scanDuration
+        totalIssues: summary.totalIssues,
+        suppressedIssues: summary.suppressedIssues,
+        complianceScore: summary.complianceScore,
+        scanDuration: summary.scanDuration
       });
 
       res.status(200).json({
         message: 'Security scan completed successfully',
-        summary: scanResults.summary,
-        findingsCount: scanResults.findings.length,
+        summary,
+        findingsCount: summary.totalIssues,
+        suppressedCount: summary.suppressedIssues,
         timestamp: this.cachedResults.lastScanTime
       });
 
@@ -106,12 +238,36 @@ class ScanController {
         // Return default summary if no scan has been run
         const defaultSummary = {
           totalIssues: 0,
+          uniqueSecrets: 0,
+          duplicatedSecrets: 0,
+          totalOccurrences: 0,
+          critical: 0,
           high: 0,
           medium: 0,
           low: 0,
           complianceScore: 100,
           estSavings: 0,
           scanDuration: 0,
+          totalObjects: 0,
+          scannedObjects: 0,
+          truncatedBuckets: [],
+          source: { type: 's3', name: 'AWS S3' },
+          pluginDetectors: [],
+          scope: {},
+          scopeProfile: null,
+          outOfScopeObjects: 0,
+          outOfScopeReasons: {},
+          fullScan: true,
+          rescannedObjects: 0,
+          reusedObjects: 0,
+          regions: [],
+          versions: null,
+          sampled: false,
+          sample: null,
+          detectorTimeouts: [],
+          detectorErrors: [],
+          frameworks: [],
+          suppressedIssues: 0,
           projectStatus: {
             lastScan: null,
             nextScan: null,
@@ -127,7 +283,7 @@ class ScanController {
       }
 
       res.status(200).json({
-        summary: this.cachedResults.summary,
+        summary: this.currentResults().summary,
         timestamp: this.cachedResults.lastScanTime,
         isScanning: this.cachedResults.isScanning
       });
@@ -156,9 +312,26 @@ class ScanController {
         });
       }
 
+      // Optional ?minConfidence=0.7 filter (0-1)
+      const minConfidence = parseFloat(req.query && req.query.minConfidence);
+      if (req.query && req.query.minConfidence !== undefined &&
+          (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1)) {
+        return res.status(400).json({
+          error: 'Invalid minConfidence',
+          message: 'minConfidence must be a number between 0 and 1'
+        });
+      }
+
+      // Suppressed findings are hidden unless ?includeSuppressed=true
+      const includeSuppressed = req.query && req.query.includeSuppressed === 'true';
+      const current = this.currentResults().findings
+        .filter(f => Number.isNaN(minConfidence) || (f.confidence || 0) >= minConfidence);
+      const findings = includeSuppressed ? current : current.filter(f => f.status !== 'suppressed');
+
       res.status(200).json({
-        findings: this.cachedResults.findings,
-        count: this.cachedResults.findings.length,
+        findings,
+        count: findings.length,
+        suppressedCount: current.filter(f => f.status === 'suppressed').length,
         timestamp: this.cachedResults.lastScanTime,
         isScanning: this.cachedResults.isScanning
       });
@@ -174,13 +347,113 @@ class ScanController {
     }
   }
 
+  /**
+   * Get unique secrets: each detected value grouped across objects and buckets by its
+   * fingerprint, with every location and when scans first and last saw it.
+   * Optional ?minObjects=2 lists only values found in several objects.
+   */
+  getSecrets(req, res) {
+    try {
+      const minObjects = req.query && req.query.minObjects !== undefined ? Number(req.query.minObjects) : 1;
+      if (!Number.isInteger(minObjects) || minObjects < 1) {
+        return res.status(400).json({
+          error: 'Invalid minObjects',
+          message: 'minObjects must be a whole number of at least 1'
+        });
+      }
+
+      const secrets = secretsService.listSecrets(this.currentResults().results || [], { minObjects });
+      res.status(200).json({
+        secrets,
+        count: secrets.length,
+        totalOccurrences: secrets.reduce((sum, secret) => sum + secret.occurrences, 0),
+        timestamp: this.cachedResults.lastScanTime,
+        isScanning: this.cachedResults.isScanning
+      });
+
+    } catch (error) {
+      logger.error('Failed to get unique secrets:', error.message);
+
+      res.status(500).json({
+        error: 'Failed to retrieve unique secrets',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Reveal the raw value behind a finding's fingerprint (admin only).
+   * Every request, granted or not, is written to the audit log with its reason.
+   */
+  revealValue(req, res) {
+    try {
+      const { fingerprint, reason } = req.body || {};
+      const user = req.session.user;
+
+      if (!redaction.allowReveal) {
+        return res.status(403).json({
+          error: 'Reveal disabled',
+          message: 'Set REDACTION_ALLOW_REVEAL=true to allow administrators to reveal values',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (typeof fingerprint !== 'string' || !fingerprint || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({
+          error: 'Invalid reveal request',
+          message: 'fingerprint and a non-empty reason are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const value = redaction.revealValue(fingerprint);
+      audit('reveal_value', {
+        user: user.username || user.sub,
+        fingerprint,
+        reason: reason.trim(),
+        granted: value !== null,
+        ip: req.ip
+      });
+
+      if (value === null) {
+        return res.status(404).json({
+          error: 'Value not found',
+          message: 'No value with this fingerprint is held from the latest scan',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        fingerprint,
+        value,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Failed to reveal value:', error.message);
+
+      res.status(500).json({
+        error: 'Failed to reveal value',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Get scan status
    */
   getStatus(req, res) {
     try {
+      const progress = scannerService.getProgress();
       const status = {
         isScanning: this.cachedResults.isScanning,
+        progress: progress.percent,
+        totalObjects: progress.totalObjects,
+        scannedObjects: progress.scannedObjects,
+        currentFile: this.cachedResults.isScanning ? progress.currentFile : null,
         lastScan: this.cachedResults.lastScanTime,
         hasResults: !!this.cachedResults.summary,
         totalFindings: this.cachedResults.findings.length || 0,
@@ -208,9 +481,12 @@ class ScanController {
       this.cachedResults = {
         summary: null,
         findings: [],
+        results: [],
+        stats: {},
         lastScanTime: null,
         isScanning: false
       };
+      redaction.clearRevealable();
 
       logger.info('Scan cache cleared');
 
@@ -279,19 +555,136 @@ class ScanController {
         .moveDown(1);
 
       // Summary
-      const s = this.cachedResults.summary;
+      const { summary: s, findings } = this.currentResults();
+      const activeFindings = findings.filter(f => f.status !== 'suppressed');
+      const suppressedFindings = findings.filter(f => f.status === 'suppressed');
       doc
         .fontSize(16)
         .fillColor('#111827')
         .text('Summary', { underline: true })
         .moveDown(0.5);
+      if (s.sampled && s.sample) {
+        doc
+          .fontSize(12)
+          .fillColor('#B45309')
+          .text(`SAMPLE SCAN: ${s.sample.sampledObjects} of ${s.sample.population} objects were scanned ` +
+            `(${s.sample.percent !== undefined ? `${s.sample.percent}%` : `up to ${s.sample.count}`} of each of ` +
+            `${s.sample.strataCount} prefix and age strata, seed ${s.sample.seed}). ` +
+            'Counts below cover the sampled objects only; see the estimates for the whole population.')
+          .moveDown(0.5);
+        if (s.sample.listingTruncatedBuckets && s.sample.listingTruncatedBuckets.length > 0) {
+          doc
+            .text(`Listing stopped early in ${s.sample.listingTruncatedBuckets.join(', ')}; ` +
+              'the estimates cover only the objects that were listed.')
+            .moveDown(0.5);
+        }
+      }
       doc.fontSize(12).fillColor('#111827');
+      if (s.source && s.source.type !== 's3') {
+        doc.text(`Source: ${s.source.name} (${s.source.type})`);
+      }
       doc.text(`Total Issues: ${s.totalIssues}`);
-      doc.text(`High: ${s.high}  |  Medium: ${s.medium}  |  Low: ${s.low}`);
+      if (s.suppressedIssues > 0) {
+        doc.text(`Suppressed Issues: ${s.suppressedIssues} (listed after the findings)`);
+      }
+      doc.text(`Critical: ${s.critical || 0}  |  High: ${s.high}  |  Medium: ${s.medium}  |  Low: ${s.low}`);
+      doc.text(`Unique Secrets: ${s.uniqueSecrets || 0} (${s.duplicatedSecrets || 0} found in more than one object) ` +
+        `across ${s.totalOccurrences || 0} occurrences`);
       doc.text(`Compliance Score: ${s.complianceScore}%`);
       doc.text(`Estimated Savings: $${s.estSavings}`);
+      doc.text(`Objects Scanned: ${s.scannedObjects || 0} of ${s.totalObjects || 0}`);
+      if (s.reusedObjects > 0) {
+        doc.text(`Unchanged Since Last Scan: ${s.reusedObjects} (earlier results reused), Re-scanned: ${s.rescannedObjects}`);
+      }
+      if (s.regions && s.regions.length > 1) {
+        doc.text(`Regions: ${s.regions
+          .map(region => `${region.region} (${region.buckets} buckets, ${region.totalIssues} issues)`)
+          .join(', ')}`);
+      }
+      if (s.versions) {
+        doc.text(`Noncurrent Versions Scanned: ${s.versions.noncurrentVersions} (up to ${s.versions.maxPerObject} per object, ` +
+          `${s.versions.maxAgeDays} days), ${s.versions.skippedVersions} older versions skipped, ` +
+          `${s.versions.versionOnlyIssues} issues only in old versions (purge versions)`);
+      }
+      if (s.truncatedBuckets && s.truncatedBuckets.length > 0) {
+        doc.text(`Object cap reached in: ${s.truncatedBuckets.join(', ')}`);
+      }
+      if (s.detectorTimeouts && s.detectorTimeouts.length > 0) {
+        doc.text(`Detector Timeouts (results may be incomplete): ${s.detectorTimeouts
+          .map(timeout => `${timeout.resource} (${timeout.detectors.join(', ')})`)
+          .join(', ')}`);
+      }
+      if (s.pluginDetectors && s.pluginDetectors.length > 0) {
+        doc.text(`Detector Plugins: ${s.pluginDetectors.join(', ')}`);
+      }
+      if (s.detectorErrors && s.detectorErrors.length > 0) {
+        doc.text(`Detector Plugin Errors (results may be incomplete): ${s.detectorErrors
+          .map(entry => `${entry.resource} (${entry.detectors.join(', ')})`)
+          .join(', ')}`);
+      }
+      if (s.scope && Object.keys(s.scope).length > 0) {
+        const scopeText = Object.keys(s.scope)
+          .map(field => `${field}: ${Array.isArray(s.scope[field]) ? s.scope[field].join(', ') : s.scope[field]}`)
+          .join('; ');
+        doc.text(`Scope${s.scopeProfile ? ` (profile ${s.scopeProfile})` : ''}: ${scopeText}`);
+        doc.text(`Objects Outside Scope: ${s.outOfScopeObjects || 0}`);
+      }
       doc.text(`Scan Duration: ${s.scanDuration} ms`).moveDown(1);
 
+      // Population estimates of a sampling scan
+      if (s.sampled && s.sample) {
+        const percent = (share) => `${(share * 100).toFixed(2)}%`;
+        doc
+          .fontSize(16)
+          .fillColor('#111827')
+          .text('Estimated Prevalence (Sample)', { underline: true })
+          .moveDown(0.5);
+        doc.fontSize(10);
+        s.sample.estimates.forEach(estimate => {
+          doc.text(`${estimate.label || estimate.detector}: ${percent(estimate.share)} of objects ` +
+            `(${s.sample.confidence * 100}% interval ${percent(estimate.lower)} - ${percent(estimate.upper)}), ` +
+            `about ${estimate.estimatedObjects} objects (${estimate.estimatedObjectsLower} - ${estimate.estimatedObjectsUpper}); ` +
+            `found in ${estimate.sampledObjects} sampled objects`);
+        });
+        doc
+          .text(`Detectors not found in the sample: at most ${percent(s.sample.notDetectedUpperBound)} of objects`)
+          .moveDown(1);
+      }
+
+      // Compliance frameworks, broken down by control
+      if (s.frameworks && s.frameworks.length > 0) {
+        doc
+          .fontSize(16)
+          .fillColor('#111827')
+          .text('Compliance Frameworks', { underline: true })
+          .moveDown(0.5);
+
+        const statusColors = { pass: '#059669', fail: '#DC2626', partial: '#D97706' };
+        const statusLabels = { pass: 'PASS', fail: 'FAIL', partial: 'PARTIAL' };
+        const statusColor = (status) => statusColors[status] || '#6B7280';
+        const statusLabel = (status) => statusLabels[status] || 'NOT EVALUATED';
+
+        s.frameworks.forEach(framework => {
+          doc
+            .fontSize(13)
+            .fillColor(statusColor(framework.status))
+            .text(`${framework.name}: ${statusLabel(framework.status)} (${framework.score}%, ${framework.passedControls}/${framework.evaluatedControls} controls)`)
+            .moveDown(0.2);
+          doc.fontSize(10);
+          framework.controls.forEach(control => {
+            const details = [];
+            if (control.findings > 0) details.push(`${control.findings} findings`);
+            if (control.failedBuckets && control.failedBuckets.length > 0) details.push(`failing buckets: ${control.failedBuckets.join(', ')}`);
+            if (control.status === 'partial') details.push(`not checked: ${control.unknownBuckets.join(', ')}`);
+            doc
+              .fillColor(statusColor(control.status))
+              .text(`${statusLabel(control.status)}  ${control.id} ${control.title}${details.length > 0 ? ` (${details.join('; ')})` : ''}`, { indent: 12 });
+          });
+          doc.moveDown(0.6);
+        });
+        doc.moveDown(0.4);
+      }
+
       // Findings
       doc
         .fontSize(16)
@@ -299,24 +692,50 @@ class ScanController {
         .text('Findings', { underline: true })
         .moveDown(0.5);
 
-      if (!this.cachedResults.findings || this.cachedResults.findings.length === 0) {
+      if (activeFindings.length === 0) {
         doc.fontSize(12).fillColor('#16A34A').text('No issues found.');
       } else {
-        this.cachedResults.findings.forEach((f, idx) => {
-          const sevColor = f.severity === 'High' ? '#DC2626' : f.severity === 'Medium' ? '#D97706' : '#059669';
+        activeFindings.forEach((f, idx) => {
+          const sevColor = f.severity === 'Critical' ? '#7F1D1D'
+            : f.severity === 'High' ? '#DC2626' : f.severity === 'Medium' ? '#D97706' : '#059669';
           doc
             .fontSize(13)
             .fillColor(sevColor)
             .text(`${idx + 1}. [${f.severity}] ${f.type}`, { continued: false })
             .moveDown(0.2);
           doc.fontSize(11).fillColor('#374151');
-          doc.text(`Resource: ${f.resource}`);
+          doc.text(`Resource: ${f.resource}${f.region ? ` (${f.region})` : ''}`);
+          if (f.noncurrent) {
+            doc.text(`Version: ${f.versionId} (noncurrent${f.needsVersionPurge ? ', needs version purge' : ''})`);
+          }
+          if (f.details && f.details.rule) doc.text(`Rule: ${f.details.rule} (${f.details.count} matches)`);
           if (f.description) doc.text(`Description: ${f.description}`);
+          const occurrences = (f.details && f.details.occurrences) || [];
+          occurrences.slice(0, 3).forEach(o => {
+            doc.text(`At ${scannerService.formatOccurrence(o)}: ${o.snippet}`);
+          });
           if (f.recommendation) doc.text(`Recommendation: ${f.recommendation}`);
           doc.moveDown(0.6);
         });
       }
 
+      // Suppressed findings with their risk acceptance
+      if (suppressedFindings.length > 0) {
+        doc
+          .fontSize(16)
+          .fillColor('#111827')
+          .text('Suppressed Findings', { underline: true })
+          .moveDown(0.5);
+
+        suppressedFindings.forEach(f => {
+          const suppression = f.suppressions[0];
+          doc.fontSize(11).fillColor('#6B7280');
+          doc.text(`[${f.severity}] ${f.resource}: ${(f.details && f.details.rule) || f.pattern}`);
+          doc.text(`Accepted by ${suppression.owner} until ${suppression.expiresAt}: ${suppression.justification}`, { indent: 12 });
+          doc.moveDown(0.3);
+        });
+      }
+
       // Footer
       doc.moveDown(1);
       doc
@@ -0,0 +1,107 @@
+/**
+ * Scopes Controller
+ * Manages saved scan scope profiles
+ */
+
+const scopeProfilesService = require('../services/scopeProfiles');
+const logger = require('../utils/logger');
+
+class ScopesController {
+  /**
+   * Send an error response; operational errors from the profiles service carry a status code
+   */
+  sendError(res, error, fallback) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) {
+      logger.error(`${fallback}:`, error.message);
+    }
+    res.status(statusCode).json({
+      error: fallback,
+      message: error.message,
+      ...(error.details && { details: error.details }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * List saved scope profiles
+   * GET /scopes
+   */
+  listProfiles(req, res) {
+    try {
+      const profiles = scopeProfilesService.listProfiles();
+      res.status(200).json({
+        profiles,
+        count: profiles.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to list scope profiles');
+    }
+  }
+
+  /**
+   * Get one scope profile
+   * GET /scopes/:name
+   */
+  getProfile(req, res) {
+    try {
+      res.status(200).json({
+        profile: scopeProfilesService.getProfile(req.params.name),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get scope profile');
+    }
+  }
+
+  /**
+   * Save a scope profile
+   * POST /scopes
+   */
+  createProfile(req, res) {
+    try {
+      const user = req.session.user;
+      res.status(201).json({
+        profile: scopeProfilesService.createProfile(req.body, user.username || user.sub),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create scope profile');
+    }
+  }
+
+  /**
+   * Update a scope profile
+   * PUT /scopes/:name
+   */
+  updateProfile(req, res) {
+    try {
+      const user = req.session.user;
+      res.status(200).json({
+        profile: scopeProfilesService.updateProfile(req.params.name, req.body, user.username || user.sub),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update scope profile');
+    }
+  }
+
+  /**
+   * Delete a scope profile
+   * DELETE /scopes/:name
+   */
+  deleteProfile(req, res) {
+    try {
+      res.status(200).json({
+        profile: scopeProfilesService.deleteProfile(req.params.name),
+        message: 'Scope profile deleted',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete scope profile');
+    }
+  }
+}
+
+module.exports = new ScopesController();
@@ -0,0 +1,122 @@
+/**
+ * Suppressions Controller
+ * Manages suppressions (risk acceptances) for known findings
+ */
+
+const suppressionsService = require('../services/suppressions');
+const { audit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+class SuppressionsController {
+  /**
+   * Send an error response; operational errors from the suppressions service carry a status code
+   */
+  sendError(res, error, fallback) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) {
+      logger.error(`${fallback}:`, error.message);
+    }
+    res.status(statusCode).json({
+      error: fallback,
+      message: error.message,
+      ...(error.details && { details: error.details }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Name of the signed-in user, recorded on suppressions and in the audit log
+   */
+  userName(req) {
+    const user = req.session.user;
+    return user.username || user.sub;
+  }
+
+  /**
+   * List all suppressions, including expired ones
+   * GET /suppressions
+   */
+  listSuppressions(req, res) {
+    try {
+      const suppressions = suppressionsService.listSuppressions();
+      res.status(200).json({
+        suppressions,
+        count: suppressions.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to list suppressions');
+    }
+  }
+
+  /**
+   * Get one suppression
+   * GET /suppressions/:id
+   */
+  getSuppression(req, res) {
+    try {
+      res.status(200).json({
+        suppression: suppressionsService.getSuppression(req.params.id),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get suppression');
+    }
+  }
+
+  /**
+   * Create a suppression
+   * POST /suppressions
+   */
+  createSuppression(req, res) {
+    try {
+      const user = this.userName(req);
+      const suppression = suppressionsService.createSuppression(req.body, user);
+      audit('suppression_created', { user, ...suppression, ip: req.ip });
+      res.status(201).json({
+        suppression,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create suppression');
+    }
+  }
+
+  /**
+   * Update a suppression, e.g. to extend its expiry
+   * PUT /suppressions/:id
+   */
+  updateSuppression(req, res) {
+    try {
+      const user = this.userName(req);
+      const suppression = suppressionsService.updateSuppression(req.params.id, req.body, user);
+      audit('suppression_updated', { user, ...suppression, ip: req.ip });
+      res.status(200).json({
+        suppression,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update suppression');
+    }
+  }
+
+  /**
+   * Delete a suppression
+   * DELETE /suppressions/:id
+   */
+  deleteSuppression(req, res) {
+    try {
+      const suppression = suppressionsService.deleteSuppression(req.params.id);
+      audit('suppression_deleted', { user: this.userName(req), id: suppression.id, ip: req.ip });
+      res.status(200).json({
+        suppression,
+        message: 'Suppression deleted',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete suppression');
+    }
+  }
+}
+
+module.exports = new SuppressionsController();
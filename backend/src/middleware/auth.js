@@ -5,6 +5,7 @@
 
 const cognitoService = require('../utils/cognito');
 const logger = require('../utils/logger');
+const { audit } = require('../utils/audit');
 
 /**
  * Middleware to check if user is authenticated via session
@@ -53,6 +54,30 @@ const requireAuth = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to restrict a route to members of the admin Cognito group.
+ * Use after requireAuth; denied attempts are written to the audit log.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminGroup = process.env.ADMIN_GROUP || 'admin';
+  const user = req.session && req.session.user;
+  const groups = (user && user.groups) || [];
+
+  if (!groups.includes(adminGroup)) {
+    audit('admin_access_denied', {
+      user: user && (user.username || user.sub),
+      path: req.originalUrl,
+      ip: req.ip
+    });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Administrator access required'
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware to validate Cognito ID token from Authorization header
  */
@@ -140,6 +165,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   requireAuth,
+  requireAdmin,
   validateToken,
   optionalAuth
 };
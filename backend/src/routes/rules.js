@@ -0,0 +1,171 @@
+/**
+ * Rules Routes
+ * API endpoints for managing detection rules
+ */
+
+const express = require('express');
+const rulesController = require('../controllers/rulesController');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every rules endpoint needs a signed-in user; changing rules needs an administrator
+router.use(requireAuth);
+
+/**
+ * GET /rules
+ * List built-in and custom rules
+ */
+router.get('/', (req, res) => {
+  try {
+    rulesController.listRules(req, res);
+  } catch (error) {
+    logger.error('Error in rules list route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list rules',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /rules/test
+ * Try a rule against sample text
+ * Body: { text, key } to test a saved rule, or { text, rule: { regex, validator, ... } }
+ */
+router.post('/test', (req, res) => {
+  try {
+    rulesController.testRule(req, res);
+  } catch (error) {
+    logger.error('Error in rules test route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to test rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /rules/detectors
+ * List the detector plugins loaded from DETECTORS_DIR, and whether each runs by default
+ */
+router.get('/detectors', (req, res) => {
+  try {
+    rulesController.listDetectors(req, res);
+  } catch (error) {
+    logger.error('Error in detector plugins list route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list detector plugins',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /rules/:key
+ * Get one rule
+ */
+router.get('/:key', (req, res) => {
+  try {
+    rulesController.getRule(req, res);
+  } catch (error) {
+    logger.error('Error in rule get route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /rules
+ * Create a custom rule
+ * Body: { key, label, severity, regex, description, recommendation, validator, onInvalid, contextKeywords, baseConfidence, enabled }
+ */
+router.post('/', requireAdmin, (req, res) => {
+  try {
+    rulesController.createRule(req, res);
+  } catch (error) {
+    logger.error('Error in rule create route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /rules/:key
+ * Update a rule (built-in rules: only enabled and severity)
+ */
+router.put('/:key', requireAdmin, (req, res) => {
+  try {
+    rulesController.updateRule(req, res);
+  } catch (error) {
+    logger.error('Error in rule update route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /rules/:key/enable
+ * Turn a rule on
+ */
+router.post('/:key/enable', requireAdmin, (req, res) => {
+  try {
+    rulesController.setEnabled(req, res, true);
+  } catch (error) {
+    logger.error('Error in rule enable route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to enable rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /rules/:key/disable
+ * Turn a rule off
+ */
+router.post('/:key/disable', requireAdmin, (req, res) => {
+  try {
+    rulesController.setEnabled(req, res, false);
+  } catch (error) {
+    logger.error('Error in rule disable route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to disable rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /rules/:key
+ * Delete a custom rule
+ */
+router.delete('/:key', requireAdmin, (req, res) => {
+  try {
+    rulesController.deleteRule(req, res);
+  } catch (error) {
+    logger.error('Error in rule delete route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
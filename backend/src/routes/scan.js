@@ -5,6 +5,7 @@
 
 const express = require('express');
 const scanController = require('../controllers/scanController');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -21,6 +22,16 @@ router.use((req, res, next) => {
 /**
  * POST /scan/run
  * Trigger a new security scan
+ * Body (optional): { source, maxObjectsPerBucket, maxObjectsPerScan, profile, scope, forceFullScan, sample, versions, detectors }
+ *   source: "s3" (default), "s3-compatible" or "local", when configured (see sources/index.js)
+ *   profile names a saved scope profile; scope fields (see utils/scope.js) override it
+ *   forceFullScan: true re-downloads objects that are unchanged since the last scan
+ *   sample: { percent | count, prefixDepth, ageBandDays, seed, confidence } scans a stratified
+ *     sample instead of every object (see utils/sampling.js)
+ *   versions: true or { maxPerObject, maxAgeDays } also scans noncurrent object versions
+ *     (see utils/versions.js)
+ *   detectors: { enable, disable } lists of detector plugin keys to run or skip on top of
+ *     the plugins enabled by default (see GET /rules/detectors)
  */
 router.post('/run', async (req, res) => {
   try {
@@ -55,6 +66,8 @@ router.get('/summary', (req, res) => {
 /**
  * GET /scan/findings
  * Get detailed scan findings
+ * Query (optional): minConfidence=0..1 to drop low-confidence findings,
+ *                   includeSuppressed=true to also list suppressed findings
  */
 router.get('/findings', (req, res) => {
   try {
@@ -69,6 +82,42 @@ router.get('/findings', (req, res) => {
   }
 });
 
+/**
+ * GET /scan/secrets
+ * Get unique secrets: detected values grouped across objects by fingerprint
+ * Query (optional): minObjects=N to list only values found in at least N objects
+ */
+router.get('/secrets', (req, res) => {
+  try {
+    scanController.getSecrets(req, res);
+  } catch (error) {
+    logger.error('Error in unique secrets route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve unique secrets',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /scan/findings/reveal
+ * Reveal the raw value behind a fingerprint (admin only, audited)
+ * Body: { fingerprint, reason }
+ */
+router.post('/findings/reveal', requireAuth, requireAdmin, (req, res) => {
+  try {
+    scanController.revealValue(req, res);
+  } catch (error) {
+    logger.error('Error in reveal route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reveal value',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /scan/status
  * Get current scan status
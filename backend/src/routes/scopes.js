@@ -0,0 +1,102 @@
+/**
+ * Scopes Routes
+ * API endpoints for saved scan scope profiles
+ */
+
+const express = require('express');
+const scopesController = require('../controllers/scopesController');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every scopes endpoint needs a signed-in user
+router.use(requireAuth);
+
+/**
+ * GET /scopes
+ * List saved scope profiles
+ */
+router.get('/', (req, res) => {
+  try {
+    scopesController.listProfiles(req, res);
+  } catch (error) {
+    logger.error('Error in scopes list route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list scope profiles',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /scopes/:name
+ * Get one scope profile
+ */
+router.get('/:name', (req, res) => {
+  try {
+    scopesController.getProfile(req, res);
+  } catch (error) {
+    logger.error('Error in scope get route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get scope profile',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /scopes
+ * Save a scope profile
+ * Body: { name, description, scope }
+ */
+router.post('/', (req, res) => {
+  try {
+    scopesController.createProfile(req, res);
+  } catch (error) {
+    logger.error('Error in scope create route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create scope profile',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /scopes/:name
+ * Update a scope profile's description and/or scope
+ */
+router.put('/:name', (req, res) => {
+  try {
+    scopesController.updateProfile(req, res);
+  } catch (error) {
+    logger.error('Error in scope update route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update scope profile',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /scopes/:name
+ * Delete a scope profile
+ */
+router.delete('/:name', (req, res) => {
+  try {
+    scopesController.deleteProfile(req, res);
+  } catch (error) {
+    logger.error('Error in scope delete route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete scope profile',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+/**
+ * Suppressions Routes
+ * API endpoints for managing suppressions (risk acceptances)
+ */
+
+const express = require('express');
+const suppressionsController = require('../controllers/suppressionsController');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every suppressions endpoint needs a signed-in user; accepting a risk needs an administrator
+router.use(requireAuth);
+
+/**
+ * GET /suppressions
+ * List suppressions, each flagged with whether it has expired
+ */
+router.get('/', (req, res) => {
+  try {
+    suppressionsController.listSuppressions(req, res);
+  } catch (error) {
+    logger.error('Error in suppressions list route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list suppressions',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /suppressions/:id
+ * Get one suppression
+ */
+router.get('/:id', (req, res) => {
+  try {
+    suppressionsController.getSuppression(req, res);
+  } catch (error) {
+    logger.error('Error in suppression get route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get suppression',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /suppressions
+ * Create a suppression
+ * Body: { bucket, key, pattern, fingerprint, findingId (at least one), justification, owner, expiresAt }
+ */
+router.post('/', requireAdmin, (req, res) => {
+  try {
+    suppressionsController.createSuppression(req, res);
+  } catch (error) {
+    logger.error('Error in suppression create route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create suppression',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /suppressions/:id
+ * Update a suppression (omitted fields keep their value)
+ */
+router.put('/:id', requireAdmin, (req, res) => {
+  try {
+    suppressionsController.updateSuppression(req, res);
+  } catch (error) {
+    logger.error('Error in suppression update route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update suppression',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /suppressions/:id
+ * Delete a suppression
+ */
+router.delete('/:id', requireAdmin, (req, res) => {
+  try {
+    suppressionsController.deleteSuppression(req, res);
+  } catch (error) {
+    logger.error('Error in suppression delete route:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete suppression',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
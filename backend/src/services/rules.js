@@ -0,0 +1,461 @@
+/**
+ * Detection Rules Service
+ * Combines the built-in patterns with custom rules created through the /rules API.
+ * Custom rules and changes to built-in rules (enabled, severity) are persisted in the
+ * `rules` JSON store. Detector plugins (see utils/detectors.js) are loaded from
+ * DETECTORS_DIR and can be turned on or off per scan.
+ */
+
+const { patterns, severityOrder } = require('../utils/patterns');
+const { validators, runValidator } = require('../utils/validators');
+const { findContextKeyword, scoreConfidence } = require('../utils/context');
+const { checkRegex, execWithTimeout } = require('../utils/regexSafety');
+const { createLineIndex } = require('../utils/locations');
+const { entropyDetector } = require('../utils/entropy');
+const { credentialSets } = require('../utils/correlation');
+const { detectorsDir, readDetectors } = require('../utils/detectors');
+const { createStore } = require('../utils/store');
+const { createOperationalError } = require('../utils/errorHandler');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const keyRegex = /^[a-z][a-z0-9_]{1,63}$/;
+
+// Fields a built-in rule may change; its regex and texts belong to the code
+const builtInEditableFields = ['enabled', 'severity'];
+
+const ruleFields = [
+  'key', 'label', 'severity', 'regex', 'description', 'recommendation',
+  'validator', 'onInvalid', 'contextKeywords', 'baseConfidence', 'enabled'
+];
+
+// Keys of detectors that are not rules: the entropy detector and the credential pairs
+const reservedKeys = [entropyDetector.key, ...credentialSets.map(set => set.key)];
+
+const validationError = (errors) => {
+  const error = createOperationalError(`Invalid rule: ${errors.join('; ')}`, 400);
+  error.details = errors;
+  return error;
+};
+
+class RulesService {
+  constructor() {
+    this.store = createStore('rules', { custom: [], builtIn: {} });
+    this.maxTestTextLength = parseInt(process.env.RULE_TEST_MAX_TEXT, 10) || 100000;
+    this.activePatterns = null;
+    this.detectorPlugins = null;
+    // Plugin load problems already logged, so a reload does not repeat them
+    this.reportedPluginErrors = new Set();
+  }
+
+  /**
+   * Built-in rule in API form, with any saved changes applied
+   */
+  describeBuiltIn(pattern, saved) {
+    const changes = saved.builtIn[pattern.key] || {};
+    return {
+      key: pattern.key,
+      label: pattern.label,
+      severity: changes.severity || pattern.severity,
+      regex: pattern.regex.source,
+      description: pattern.description,
+      recommendation: pattern.recommendation,
+      validator: pattern.validator || null,
+      onInvalid: pattern.validator ? (pattern.onInvalid || 'drop') : null,
+      contextKeywords: pattern.contextKeywords || [],
+      baseConfidence: pattern.baseConfidence !== undefined ? pattern.baseConfidence : null,
+      enabled: changes.enabled !== false,
+      builtIn: true,
+      updatedAt: changes.updatedAt || null
+    };
+  }
+
+  /**
+   * List every rule, built-in first
+   */
+  listRules() {
+    const saved = this.store.load();
+    return patterns
+      .map(pattern => this.describeBuiltIn(pattern, saved))
+      .concat(saved.custom.map(rule => ({ ...rule, builtIn: false })));
+  }
+
+  /**
+   * Get one rule by key; throws a 404 error when it does not exist
+   */
+  getRule(key) {
+    const rule = this.listRules().find(r => r.key === key);
+    if (!rule) {
+      throw createOperationalError(`Rule "${key}" not found`, 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Validate a full rule definition; returns a list of problems (empty when valid)
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    Object.keys(rule).forEach(field => {
+      if (!ruleFields.includes(field)) {
+        errors.push(`unknown field "${field}"`);
+      }
+    });
+    if (typeof rule.key !== 'string' || !keyRegex.test(rule.key)) {
+      errors.push('key must be 2-64 lowercase letters, digits or underscores, starting with a letter');
+    }
+    if (typeof rule.label !== 'string' || !rule.label.trim()) {
+      errors.push('label is required');
+    }
+    if (!severityOrder.includes(rule.severity)) {
+      errors.push(`severity must be one of ${severityOrder.join(', ')}`);
+    }
+    ['description', 'recommendation'].forEach(field => {
+      if (rule[field] !== undefined && typeof rule[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    });
+    if (rule.validator !== undefined && rule.validator !== null && !validators[rule.validator]) {
+      errors.push(`validator must be one of ${Object.keys(validators).join(', ')}`);
+    }
+    if (rule.onInvalid !== undefined && rule.onInvalid !== null && !['drop', 'downgrade'].includes(rule.onInvalid)) {
+      errors.push('onInvalid must be "drop" or "downgrade"');
+    }
+    if (rule.contextKeywords !== undefined && (!Array.isArray(rule.contextKeywords) ||
+        rule.contextKeywords.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+      errors.push('contextKeywords must be an array of non-empty strings');
+    }
+    if (rule.baseConfidence !== undefined && rule.baseConfidence !== null &&
+        (typeof rule.baseConfidence !== 'number' || rule.baseConfidence < 0 || rule.baseConfidence > 1)) {
+      errors.push('baseConfidence must be a number between 0 and 1');
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+
+    const regexCheck = checkRegex(rule.regex);
+    if (!regexCheck.valid) {
+      errors.push(regexCheck.error);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Normalise a validated rule into the stored shape
+   */
+  toStoredRule(rule, createdAt) {
+    const now = new Date().toISOString();
+    return {
+      key: rule.key,
+      label: rule.label.trim(),
+      severity: rule.severity,
+      regex: rule.regex,
+      description: rule.description || '',
+      recommendation: rule.recommendation || '',
+      validator: rule.validator || null,
+      onInvalid: rule.validator ? (rule.onInvalid || 'drop') : null,
+      contextKeywords: (rule.contextKeywords || []).map(keyword => keyword.trim().toLowerCase()),
+      baseConfidence: rule.baseConfidence !== undefined ? rule.baseConfidence : null,
+      enabled: rule.enabled !== false,
+      createdAt: createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Create a custom rule
+   */
+  createRule(input) {
+    const rule = input || {};
+    const errors = this.validateRule(rule);
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    const saved = this.store.load();
+    if (reservedKeys.includes(rule.key) || patterns.some(p => p.key === rule.key) || saved.custom.some(r => r.key === rule.key) ||
+        this.getDetectorPlugins().some(plugin => plugin.key === rule.key)) {
+      throw createOperationalError(`Rule "${rule.key}" already exists`, 409);
+    }
+
+    const stored = this.toStoredRule(rule);
+    saved.custom.push(stored);
+    this.save(saved);
+    logger.info(`Created detection rule "${stored.key}"`);
+    return { ...stored, builtIn: false };
+  }
+
+  /**
+   * Update a rule. Custom rules accept any field but the key; built-in rules only
+   * `enabled` and `severity`.
+   */
+  updateRule(key, changes) {
+    const updates = changes || {};
+    const saved = this.store.load();
+
+    if (updates.key !== undefined && updates.key !== key) {
+      throw validationError(['key cannot be changed']);
+    }
+
+    const pattern = patterns.find(p => p.key === key);
+    if (pattern) {
+      const disallowed = Object.keys(updates).filter(field => field !== 'key' && !builtInEditableFields.includes(field));
+      if (disallowed.length > 0) {
+        throw validationError([`built-in rules only allow changing ${builtInEditableFields.join(' and ')} (got ${disallowed.join(', ')})`]);
+      }
+      const errors = [];
+      if (updates.severity !== undefined && !severityOrder.includes(updates.severity)) {
+        errors.push(`severity must be one of ${severityOrder.join(', ')}`);
+      }
+      if (updates.enabled !== undefined && typeof updates.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+      }
+      if (errors.length > 0) {
+        throw validationError(errors);
+      }
+
+      saved.builtIn[key] = {
+        ...saved.builtIn[key],
+        ...(updates.enabled !== undefined && { enabled: updates.enabled }),
+        ...(updates.severity !== undefined && { severity: updates.severity }),
+        updatedAt: new Date().toISOString()
+      };
+      this.save(saved);
+      logger.info(`Updated built-in detection rule "${key}"`);
+      return this.describeBuiltIn(pattern, saved);
+    }
+
+    const index = saved.custom.findIndex(r => r.key === key);
+    if (index === -1) {
+      throw createOperationalError(`Rule "${key}" not found`, 404);
+    }
+
+    const { createdAt, updatedAt, ...current } = saved.custom[index];
+    const merged = { ...current, ...updates, key };
+    // Stored nulls mean "not set"; drop them so validation treats them as omitted
+    Object.keys(merged).forEach(field => {
+      if (merged[field] === null) delete merged[field];
+    });
+    const errors = this.validateRule(merged);
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    saved.custom[index] = this.toStoredRule(merged, createdAt);
+    this.save(saved);
+    logger.info(`Updated detection rule "${key}"`);
+    return { ...saved.custom[index], builtIn: false };
+  }
+
+  /**
+   * Enable or disable a rule
+   */
+  setEnabled(key, enabled) {
+    return this.updateRule(key, { enabled });
+  }
+
+  /**
+   * Delete a custom rule. Built-in rules can only be disabled.
+   */
+  deleteRule(key) {
+    if (patterns.some(p => p.key === key)) {
+      throw createOperationalError(`Rule "${key}" is built in and cannot be deleted; disable it instead`, 400);
+    }
+
+    const saved = this.store.load();
+    const index = saved.custom.findIndex(r => r.key === key);
+    if (index === -1) {
+      throw createOperationalError(`Rule "${key}" not found`, 404);
+    }
+
+    const [removed] = saved.custom.splice(index, 1);
+    this.save(saved);
+    logger.info(`Deleted detection rule "${key}"`);
+    return { ...removed, builtIn: false };
+  }
+
+  /**
+   * Persist rule changes and rebuild the active pattern list on next use
+   */
+  save(saved) {
+    this.store.save(saved);
+    this.activePatterns = null;
+  }
+
+  /**
+   * Enabled rules in the shape the scanner uses (compiled `regex`)
+   */
+  getActivePatterns() {
+    if (!this.activePatterns) {
+      const saved = this.store.load();
+      const builtIn = patterns
+        .filter(pattern => (saved.builtIn[pattern.key] || {}).enabled !== false)
+        .map(pattern => {
+          const severity = (saved.builtIn[pattern.key] || {}).severity;
+          return severity ? { ...pattern, severity } : pattern;
+        });
+      const custom = saved.custom
+        .filter(rule => rule.enabled)
+        .map(rule => this.compileRule(rule));
+
+      this.activePatterns = builtIn.concat(custom);
+    }
+    return this.activePatterns;
+  }
+
+  /**
+   * Detector plugins loaded from DETECTORS_DIR. `reload` reads the directory again, picking
+   * up added, changed and removed modules. Modules that fail to load, and plugins whose key
+   * is taken by a rule, are left out and logged once.
+   */
+  getDetectorPlugins({ reload = false } = {}) {
+    if (!this.detectorPlugins || reload) {
+      const { detectors, errors } = readDetectors();
+
+      const ruleKeys = new Set([...reservedKeys, ...patterns.map(p => p.key), ...this.store.load().custom.map(r => r.key)]);
+      this.detectorPlugins = detectors.filter(plugin => {
+        if (ruleKeys.has(plugin.key)) {
+          errors.push(`${path.basename(plugin.file)}: a rule already uses the key "${plugin.key}"`);
+          return false;
+        }
+        return true;
+      });
+
+      errors.filter(error => !this.reportedPluginErrors.has(error)).forEach(error => {
+        logger.warn(`Skipping detector plugin ${error}`);
+      });
+      this.reportedPluginErrors = new Set(errors);
+      logger.debug(`Loaded ${this.detectorPlugins.length} detector plugins from ${detectorsDir()}`);
+    }
+    return this.detectorPlugins;
+  }
+
+  /**
+   * Detector plugins in API form
+   */
+  listDetectors() {
+    return this.getDetectorPlugins({ reload: true }).map(({ file, hash, ...plugin }) => ({
+      ...plugin,
+      module: path.basename(file)
+    }));
+  }
+
+  /**
+   * Plugins to run in a scan: those enabled by default, plus `enable`, minus `disable`
+   * (both lists of plugin keys). Throws a 400 error for unknown keys or a malformed selection.
+   */
+  selectDetectors(selection) {
+    const plugins = this.getDetectorPlugins({ reload: true });
+    if (selection === undefined || selection === null) {
+      return plugins.filter(plugin => plugin.enabled);
+    }
+
+    const errors = [];
+    if (typeof selection !== 'object' || Array.isArray(selection)) {
+      errors.push('detectors must be an object with enable and/or disable lists');
+    } else {
+      Object.keys(selection).forEach(field => {
+        if (!['enable', 'disable'].includes(field)) {
+          errors.push(`unknown detectors field "${field}"`);
+        }
+      });
+      ['enable', 'disable'].forEach(field => {
+        const keys = selection[field];
+        if (keys === undefined) {
+          return;
+        }
+        if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) {
+          errors.push(`${field} must be an array of detector plugin keys`);
+          return;
+        }
+        keys.filter(key => !plugins.some(plugin => plugin.key === key)).forEach(key => {
+          errors.push(`unknown detector plugin "${key}"`);
+        });
+      });
+    }
+    if (errors.length > 0) {
+      const error = createOperationalError(`Invalid detector selection: ${errors.join('; ')}`, 400);
+      error.details = errors;
+      throw error;
+    }
+
+    const enable = selection.enable || [];
+    const disable = selection.disable || [];
+    return plugins.filter(plugin => (plugin.enabled || enable.includes(plugin.key)) && !disable.includes(plugin.key));
+  }
+
+  /**
+   * Turn a custom rule definition into a scanner pattern
+   */
+  compileRule(rule) {
+    return {
+      key: rule.key,
+      label: rule.label,
+      severity: rule.severity,
+      regex: new RegExp(rule.regex),
+      description: rule.description,
+      recommendation: rule.recommendation,
+      ...(rule.validator && { validator: rule.validator, onInvalid: rule.onInvalid || 'drop' }),
+      ...(rule.contextKeywords && rule.contextKeywords.length > 0 && { contextKeywords: rule.contextKeywords }),
+      ...(rule.baseConfidence !== null && rule.baseConfidence !== undefined && { baseConfidence: rule.baseConfidence }),
+      custom: true
+    };
+  }
+
+  /**
+   * Try a rule (an existing key or an unsaved definition) against sample text.
+   * The regex runs under the same time limit used when rules are created.
+   */
+  testRule({ key, rule, text }) {
+    if (typeof text !== 'string' || text.length === 0) {
+      throw validationError(['text is required']);
+    }
+    if (text.length > this.maxTestTextLength) {
+      throw validationError([`text must be at most ${this.maxTestTextLength} characters`]);
+    }
+
+    let pattern;
+    if (key !== undefined) {
+      const existing = this.getRule(key);
+      pattern = patterns.find(p => p.key === key) || this.compileRule(existing);
+    } else {
+      const definition = { key: 'rule_test', label: 'Rule test', severity: 'Low', ...(rule || {}) };
+      const errors = this.validateRule(definition);
+      if (errors.length > 0) {
+        throw validationError(errors);
+      }
+      pattern = this.compileRule(this.toStoredRule(definition));
+    }
+
+    let found;
+    try {
+      found = execWithTimeout(pattern.regex.source, 'gi', text);
+    } catch (error) {
+      throw createOperationalError(error.timedOut ? 'Rule timed out on the sample text' : error.message, 422);
+    }
+
+    const lines = createLineIndex(text);
+    const matches = found.map(({ index, value }) => {
+      const validation = pattern.validator ? runValidator(pattern.validator, value) : null;
+      const keyword = findContextKeyword(pattern, text, index, value.length, 64);
+      return {
+        value,
+        index,
+        ...lines.positionAt(index),
+        valid: validation ? validation.valid : true,
+        ...(validation && !validation.valid && {
+          reason: validation.reason,
+          outcome: pattern.onInvalid === 'downgrade' ? 'downgraded' : 'dropped'
+        }),
+        keyword,
+        confidence: scoreConfidence({ pattern, keyword, validation })
+      };
+    });
+
+    return { rule: pattern.key, count: matches.length, matches };
+  }
+}
+
+module.exports = new RulesService();
@@ -1,27 +1,165 @@
 /**
  * S3 Scanner Service
- * Scans S3 objects for sensitive data patterns and generates compliance reports
+ * Scans S3 objects for sensitive data patterns and generates compliance reports.
+ * Buckets and objects are read through a source adapter (see sources/index.js), so the same
+ * scan runs against S3-compatible storage and local directories too.
  */
 
-const { S3Client, ListBucketsCommand, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { patterns, severityWeights, binaryExtensions } = require('../utils/patterns');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { severityWeights, binaryExtensions } = require('../utils/patterns');
+const rulesService = require('./rules');
+const secretsService = require('./secrets');
+const { runValidator } = require('../utils/validators');
+const { execWithTimeout } = require('../utils/regexSafety');
+const { scoreConfidence } = require('../utils/context');
+const { serializePatterns, collapseOccurrences, findMatches } = require('../utils/matcher');
+const { createWorkerPool, mapWithConcurrency } = require('../utils/concurrency');
+const { ArchiveLimitError, archiveTypeOf, createBudget, walkArchive } = require('../utils/archives');
+const { documentTypeOf, extractDocumentText } = require('../utils/extractors');
+const { normalizeFieldName, parseStructured } = require('../utils/structured');
+const { SNIFF_BYTES, sniffContent, decodeText, alignToCharacter, peekStream } = require('../utils/content');
+const { createLineIndex, buildSnippet } = require('../utils/locations');
+const { evaluateFrameworks } = require('../utils/compliance');
+const { credentialPartsOf, correlateCredentials } = require('../utils/correlation');
+const { bucketInScope, objectOutOfScope } = require('../utils/scope');
+const { createSampler, estimatePrevalence } = require('../utils/sampling');
+const { objectPath, createVersionWalker } = require('../utils/versions');
+const { createSource } = require('../sources');
+const { createStore, createShardedStore } = require('../utils/store');
+const redaction = require('../utils/redaction');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
 const logger = require('../utils/logger');
 
+// Field values that are references or placeholders rather than real data
+const placeholderValueRegex = /^(?:|\$\{[^}]*\}|\$[A-Z_][A-Z0-9_]*|<[^>]*>|\*+|x+|null|none|undefined|true|false|changeme|redacted)$/i;
+
 class ScannerService {
   constructor() {
     this.region = process.env.COGNITO_REGION || 'us-east-1';
+
+    // Object caps so very large buckets cannot keep a scan running forever
+    this.maxObjectsPerBucket = parseInt(process.env.SCAN_MAX_OBJECTS_PER_BUCKET, 10) || 10000;
+    this.maxObjectsPerScan = parseInt(process.env.SCAN_MAX_OBJECTS_PER_SCAN, 10) || 50000;
+
+    // Objects are streamed and scanned in overlapping windows up to a maximum size. Half the
+    // overlap lies past the point where a window stops counting matches, so the overlap is at
+    // least twice the longest match (a PEM private key) for such matches to be seen whole.
+    this.maxObjectBytes = parseInt(process.env.SCAN_MAX_OBJECT_BYTES, 10) || 50 * 1024 * 1024;
+    this.chunkBytes = parseInt(process.env.SCAN_CHUNK_BYTES, 10) || 1024 * 1024;
+    this.maxMatchBytes = parseInt(process.env.SCAN_MAX_MATCH_BYTES, 10) || 8192;
+    this.chunkOverlapBytes = Math.min(
+      Math.max(parseInt(process.env.SCAN_CHUNK_OVERLAP_BYTES, 10) || 4096, 2 * this.maxMatchBytes),
+      Math.floor(this.chunkBytes / 2)
+    );
+
+    // Archive limits guard against zip bombs; they apply to an archive and everything nested in it
+    this.archive = {
+      maxDepth: parseInt(process.env.SCAN_ARCHIVE_MAX_DEPTH, 10) || 3,
+      maxMembers: parseInt(process.env.SCAN_ARCHIVE_MAX_MEMBERS, 10) || 1000,
+      maxTotalBytes: parseInt(process.env.SCAN_ARCHIVE_MAX_TOTAL_BYTES, 10) || 200 * 1024 * 1024
+    };
+
+    // Objects downloaded at once, and worker threads running pattern matching (0 matches
+    // on the main thread). By default one core is left free for the API server.
+    this.downloadConcurrency = parseInt(process.env.SCAN_DOWNLOAD_CONCURRENCY, 10) || 10;
+    const matchWorkers = parseInt(process.env.SCAN_MATCH_WORKERS, 10);
+    this.matchWorkers = Number.isNaN(matchWorkers) ? Math.max(1, os.cpus().length - 1) : Math.max(0, matchWorkers);
+    this.matchPool = null;
+
+    // PDFs are parsed in worker threads (at least one, whatever SCAN_MATCH_WORKERS says) so
+    // a file that takes too long can be stopped; only the first pages are read
+    this.pdfTimeoutMs = parseInt(process.env.SCAN_PDF_TIMEOUT_MS, 10) || 30000;
+    this.pdfMaxPages = parseInt(process.env.SCAN_PDF_MAX_PAGES, 10) || 500;
+    this.pdfPool = null;
+
+    // Detector plugins selected for the running scan (null outside a scan)
+    this.scanPlugins = null;
+
+    // Time each detector may spend on one object before it is aborted for that object
+    this.detectorBudgetMs = parseInt(process.env.SCAN_DETECTOR_BUDGET_MS, 10) || 5000;
+
+    // Characters either side of a match searched for context keywords
+    this.contextWindowChars = parseInt(process.env.SCAN_CONTEXT_WINDOW_CHARS, 10) || 64;
+
+    // Bucket posture checks feed the compliance frameworks; matches below the confidence
+    // threshold do not fail a framework control
+    this.postureChecksEnabled = process.env.SCAN_POSTURE_CHECKS_ENABLED !== 'false';
+    this.complianceMinConfidence = parseFloat(process.env.COMPLIANCE_MIN_CONFIDENCE) || 0.5;
+
+    // Individual match locations kept per pattern and object (counts stay exact)
+    this.maxOccurrences = parseInt(process.env.SCAN_MAX_OCCURRENCES, 10) || 100;
+
+    // Distinct values fingerprinted per pattern and object, to group a secret across objects
+    this.maxDistinctValues = parseInt(process.env.SCAN_MAX_DISTINCT_VALUES, 10) || 1000;
+
+    // Incremental scans reuse the results of objects whose ETag, size and LastModified are
+    // unchanged; index entries for objects not seen for this many days are dropped
+    this.incrementalEnabled = process.env.SCAN_INCREMENTAL_ENABLED !== 'false';
+    this.indexMaxAgeDays = parseInt(process.env.SCAN_INDEX_MAX_AGE_DAYS, 10) || 30;
+    this.indexStore = createShardedStore('scan-index');
+    this.failedObjects = new Set();
+
+    // Sampling scans list every object in scope to stratify them, up to this many per bucket
+    this.sampleMaxListedObjects = parseInt(process.env.SCAN_SAMPLE_MAX_LISTED_OBJECTS, 10) || 10000000;
+    this.sampleMaxStrata = parseInt(process.env.SCAN_SAMPLE_MAX_STRATA, 10) || 10000;
+
+    if (!redaction.saltConfigured) {
+      logger.warn('REDACTION_SALT is not set; value fingerprints will change when the server restarts');
+    }
+
+    // High-entropy secret detection thresholds (bits per character)
+    this.entropy = {
+      enabled: process.env.SCAN_ENTROPY_ENABLED !== 'false',
+      base64Threshold: parseFloat(process.env.SCAN_ENTROPY_BASE64_THRESHOLD) || 4.5,
+      hexThreshold: parseFloat(process.env.SCAN_ENTROPY_HEX_THRESHOLD) || 3.0,
+      minLength: parseInt(process.env.SCAN_ENTROPY_MIN_LENGTH, 10) || 20
+    };
+
+    // Lines that may separate the parts of a credential pair (see utils/correlation.js)
+    this.credentialPairMaxLines = parseInt(process.env.SCAN_CREDENTIAL_PAIR_MAX_LINES, 10) || 10;
+
+    this.resetProgress();
+  }
+
+  /**
+   * Reset progress tracking for a new scan
+   */
+  resetProgress() {
+    this.progress = {
+      totalObjects: 0,
+      scannedObjects: 0,
+      currentBucket: null,
+      currentFile: null
+    };
+  }
+
+  /**
+   * Get current scan progress (percentage of listed objects scanned)
+   */
+  getProgress() {
+    const { totalObjects, scannedObjects, currentBucket, currentFile } = this.progress;
+    return {
+      totalObjects,
+      scannedObjects,
+      percent: totalObjects > 0 ? Math.round((scannedObjects / totalObjects) * 100) : 0,
+      currentBucket,
+      currentFile
+    };
   }
 
   /**
    * Get S3 client using session credentials
    */
-  getS3Client(session) {
+  getS3Client(session, region = this.region) {
     if (!session || !session.awsCredentials) {
       throw new Error('Invalid session or missing credentials');
     }
 
     return new S3Client({
-      region: this.region,
+      region,
       credentials: {
         accessKeyId: session.awsCredentials.accessKeyId,
         secretAccessKey: session.awsCredentials.secretAccessKey,
@@ -30,6 +168,17 @@ class ScannerService {
     });
   }
 
+  /**
+   * Source adapter for one scan. AWS S3 reads each bucket through a client for its own
+   * region, built from the session credentials.
+   */
+  createScanSource(session, type = 's3') {
+    return createSource(type, {
+      s3ClientFor: (region) => this.getS3Client(session, region),
+      defaultRegion: this.region
+    });
+  }
+
   /**
    * Check if file should be skipped (binary files)
    */
@@ -39,66 +188,310 @@ class ScannerService {
   }
 
   /**
-   * Scan text content for sensitive patterns
+   * Settings the matcher needs besides the patterns
    */
-  scanTextContent(text) {
-    const matches = [];
-    
+  matchSettings(options) {
+    const budget = options.budget || this.createDetectorBudget();
+    return {
+      minEnd: options.minEnd || 0,
+      maxEnd: options.maxEnd || null,
+      nextStart: options.nextStart || 0,
+      skipBefore: options.skipBefore || null,
+      maxOccurrences: this.maxOccurrences,
+      maxDistinctValues: this.maxDistinctValues,
+      withIndexes: Boolean(options.locate),
+      detectorBudgetMs: this.detectorBudgetMs,
+      detectorSpent: budget.spent,
+      timedOutDetectors: [...budget.timedOut, ...Object.keys(budget.failed)],
+      contextWindowChars: this.contextWindowChars,
+      entropy: this.entropy,
+      plugins: this.activeDetectorPlugins(),
+      context: budget.context
+    };
+  }
+
+  /**
+   * Detector plugins to run: those selected for the running scan, otherwise the ones
+   * enabled by default
+   */
+  activeDetectorPlugins() {
+    return this.scanPlugins || rulesService.getDetectorPlugins().filter(plugin => plugin.enabled);
+  }
+
+  /**
+   * Time spent by each detector on one object, shared by all the texts scanned for it.
+   * `context` ({ bucket, key, objectKey, contentType, encoding }) is passed to detector plugins.
+   */
+  createDetectorBudget(context = {}) {
+    return { spent: {}, timedOut: [], failed: {}, context };
+  }
+
+  /**
+   * Warnings to record on an object's result for detectors that ran out of time on it
+   * and for detector plugins that failed on it
+   */
+  detectorWarnings(budget, resource) {
+    if (budget.timedOut.length > 0) {
+      logger.warn(`Detectors timed out on ${resource} after ${this.detectorBudgetMs}ms: ${budget.timedOut.join(', ')}`);
+    }
+    Object.keys(budget.failed).forEach(detector => {
+      logger.warn(`Detector plugin "${detector}" failed on ${resource}: ${budget.failed[detector]}`);
+    });
+    return [
+      ...budget.timedOut.map(detector => ({
+        type: 'detector_timeout',
+        detector,
+        message: `Detector "${detector}" exceeded its ${this.detectorBudgetMs}ms budget and was stopped; its matches in this object may be incomplete`
+      })),
+      ...Object.keys(budget.failed).map(detector => ({
+        type: 'detector_error',
+        detector,
+        message: `Detector plugin "${detector}" failed and was skipped for the rest of this object: ${budget.failed[detector]}`
+      }))
+    ];
+  }
+
+  /**
+   * Scan text content for sensitive patterns on the calling thread.
+   * Matches ending at or before `options.minEnd` or after `options.maxEnd` are ignored; the
+   * chunked reader uses this so the overlap between two windows is not counted twice.
+   * A match running past `maxEnd` that starts before `options.nextStart` is counted anyway,
+   * its end recorded per detector in `options.spanning`, and matches starting before
+   * `options.skipBefore[detector]` are ignored (see findMatches).
+   * `options.locate(index)` may name where a character offset came from (page, sheet cell).
+   * `options.base` is the { offset, line, column } the text starts at within its object,
+   * and `options.position(index)` may replace line/column/offset lookup entirely.
+   * `options.budget` (see createDetectorBudget) carries detector time across texts of one object,
+   * and `options.encoding` is the encoding the text was decoded from, for byte offsets.
+   */
+  scanTextContent(text, options = {}) {
     logger.debug(`Scanning text content of length: ${text.length}`);
-    
-    patterns.forEach(pattern => {
-      const regex = new RegExp(pattern.regex.source, 'gi');
-      const found = text.match(regex);
-      
-      if (found && found.length > 0) {
-        logger.debug(`Pattern "${pattern.key}" found ${found.length} matches: ${found.slice(0, 2).join(', ')}`);
-        matches.push({
-          pattern: pattern.key,
-          label: pattern.label,
-          severity: pattern.severity,
-          count: found.length,
-          samples: found.slice(0, 3), // Limit samples to first 3
-          description: pattern.description,
-          recommendation: pattern.recommendation
-        });
-      }
+    const found = findMatches(text, rulesService.getActivePatterns(), this.matchSettings(options));
+    return this.buildMatches(text, found, options);
+  }
+
+  /**
+   * Same as scanTextContent, but the matching runs in the worker pool (when enabled)
+   * so large texts do not block the event loop
+   */
+  async matchText(text, options = {}) {
+    const pool = this.getMatchPool();
+    if (!pool) {
+      return this.scanTextContent(text, options);
+    }
+
+    const patterns = rulesService.getActivePatterns();
+    if (patterns !== this.serializedFrom) {
+      this.serializedPatterns = serializePatterns(patterns);
+      this.serializedFrom = patterns;
+    }
+
+    const found = await pool.run({
+      text,
+      patterns: this.serializedPatterns,
+      settings: this.matchSettings(options)
+    });
+    return this.buildMatches(text, found, options);
+  }
+
+  /**
+   * The pool of match workers, started on first use; null when matching runs on the main thread
+   */
+  getMatchPool() {
+    if (this.matchWorkers > 0 && !this.matchPool) {
+      this.matchPool = createWorkerPool(path.join(__dirname, '../workers/matchWorker.js'), this.matchWorkers);
+      logger.info(`Started match worker pool with up to ${this.matchWorkers} workers`);
+    }
+    return this.matchPool;
+  }
+
+  /**
+   * The pool of PDF workers, started on first use
+   */
+  getPdfPool() {
+    if (!this.pdfPool) {
+      this.pdfPool = createWorkerPool(path.join(__dirname, '../workers/pdfWorker.js'), Math.max(1, this.matchWorkers));
+    }
+    return this.pdfPool;
+  }
+
+  /**
+   * Turn the matcher's groups into matches: locate and position the kept occurrences,
+   * then add redacted samples, locations and occurrence records
+   */
+  buildMatches(text, { groups, ranges, dropped, detectorTimes, timedOut, failed, spanning }, options = {}) {
+    if (options.spanning) {
+      Object.assign(options.spanning, spanning);
+    }
+
+    Object.keys(dropped).forEach(key => {
+      logger.debug(`Pattern "${key}" dropped ${dropped[key]} matches that failed validation`);
     });
 
+    if (options.budget) {
+      Object.keys(detectorTimes).forEach(key => {
+        options.budget.spent[key] = (options.budget.spent[key] || 0) + detectorTimes[key];
+      });
+      options.budget.timedOut.push(...timedOut);
+      Object.assign(options.budget.failed, failed);
+    }
+
+    const occurrences = groups.map(group => group.occurrences).flat();
+    occurrences.forEach(occurrence => {
+      occurrence.location = options.locate ? options.locate(occurrence.index) : null;
+    });
+    this.positionOccurrences(text, occurrences, ranges, options);
+
+    // Raw distinct values stay out of the match; describeOccurrences fingerprints them
+    const matches = groups.map(({ indexes, distinct, ...group }) => ({
+      ...group,
+      ...this.describeOccurrences({ ...group, distinct }, options.locate && indexes ? indexes.map(options.locate) : [])
+    }));
+
     logger.debug(`Total patterns matched: ${matches.length}`);
     return matches;
   }
 
   /**
-   * Read object content (first 500KB)
+   * Give each occurrence its line, column, byte offset and a snippet of the
+   * surrounding text with every match in `ranges` masked
    */
-  async readObjectContent(s3Client, bucket, key) {
-    try {
-      logger.debug(`Attempting to read object: ${bucket}/${key}`);
-      
-      const command = new GetObjectCommand({
-        Bucket: bucket,
-        Key: key,
-        Range: 'bytes=0-512000' // First 500KB
+  positionOccurrences(text, occurrences, ranges, options) {
+    if (occurrences.length === 0) {
+      return;
+    }
+
+    const lines = createLineIndex(text, options.encoding);
+    const base = options.base || { offset: 0, line: 1, column: 1 };
+    const position = options.position || ((index) => {
+      const { line, column } = lines.positionAt(index);
+      return {
+        line: base.line + line - 1,
+        // Only the first line of a window continues a line from the previous window
+        column: line === 1 ? base.column + column - 1 : column,
+        offset: base.offset + lines.byteOffsetAt(index)
+      };
+    });
+
+    occurrences.forEach(occurrence => {
+      Object.assign(occurrence, position(occurrence.index), {
+        snippet: buildSnippet(text, occurrence.index, occurrence.length, ranges, redaction.redactValue)
       });
+    });
+  }
 
-      const response = await s3Client.send(command);
-      
-      if (response.Body) {
-        // Node.js: Body is a Readable stream; aggregate to UTF-8 string
-        const chunks = [];
-        for await (const chunk of response.Body) {
-          chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  /**
+   * Collapse individual occurrences of a pattern into count, samples and confidence
+   */
+  summarizeOccurrences(occurrences, pattern) {
+    return this.describeOccurrences(
+      { ...collapseOccurrences(occurrences, this.maxOccurrences, this.maxDistinctValues), pattern },
+      occurrences.map(o => o.location)
+    );
+  }
+
+  /**
+   * Finish a collapsed group of occurrences. Each kept occurrence records where it was
+   * found, a masked snippet around it and the value's fingerprint, plus the credential
+   * parts the value holds for patterns that need the value to tell (see utils/correlation.js).
+   * Raw values never leave this method: samples are redacted and distinct values become
+   * fingerprints.
+   */
+  describeOccurrences({ pattern, count, samples, distinct, confidence, contextKeywords, occurrences }, allLocations) {
+    const locations = [...new Set(allLocations.filter(Boolean))];
+    return {
+      count,
+      samples: samples.map(value => redaction.redactValue(value)),
+      fingerprints: distinct.map(({ value, count: valueCount }) => ({ fingerprint: redaction.rememberValue(value), count: valueCount })),
+      confidence,
+      contextKeywords,
+      ...(locations.length > 0 && { locations: locations.slice(0, 10) }),
+      occurrences: occurrences.map(o => {
+        const credentialParts = credentialPartsOf(pattern, o.value);
+        return {
+          line: o.line,
+          column: o.column,
+          offset: o.offset,
+          ...(o.location && { location: o.location }),
+          snippet: o.snippet,
+          fingerprint: redaction.rememberValue(o.value),
+          confidence: o.confidence,
+          ...(credentialParts && { credentialParts })
+        };
+      })
+    };
+  }
+
+  /**
+   * Merge matches from one scan window into the running per-object totals
+   */
+  mergeMatches(aggregate, windowMatches) {
+    windowMatches.forEach(match => {
+      // Validated and downgraded matches of the same pattern are kept apart
+      const existing = aggregate.find(m => m.pattern === match.pattern && m.severity === match.severity);
+      if (!existing) {
+        aggregate.push({
+          ...match,
+          samples: [...match.samples],
+          fingerprints: match.fingerprints.map(entry => ({ ...entry })),
+          occurrences: [...match.occurrences],
+          ...(match.validation && { validation: { ...match.validation } })
+        });
+        return;
+      }
+      existing.count += match.count;
+      existing.samples = existing.samples.concat(match.samples).slice(0, 3);
+      match.fingerprints.forEach(({ fingerprint, count }) => {
+        const known = existing.fingerprints.find(entry => entry.fingerprint === fingerprint);
+        if (known) {
+          known.count += count;
+        } else if (existing.fingerprints.length < this.maxDistinctValues) {
+          existing.fingerprints.push({ fingerprint, count });
         }
-        const content = Buffer.concat(chunks).toString('utf8');
-        
-        logger.debug(`Successfully read ${bucket}/${key}: ${content.length} characters`);
-        logger.debug(`First 200 characters: ${content.substring(0, 200)}`);
-        
-        return content;
+      });
+      existing.occurrences = existing.occurrences.concat(match.occurrences).slice(0, this.maxOccurrences);
+      existing.confidence = Math.max(existing.confidence, match.confidence);
+      existing.contextKeywords = [...new Set(existing.contextKeywords.concat(match.contextKeywords))].slice(0, 5);
+      if (match.locations) {
+        existing.locations = [...new Set((existing.locations || []).concat(match.locations))].slice(0, 10);
+      }
+      if (existing.entropy && match.entropy) {
+        existing.entropy = {
+          maxEntropy: Math.max(existing.entropy.maxEntropy, match.entropy.maxEntropy),
+          charsets: [...new Set(existing.entropy.charsets.concat(match.entropy.charsets))]
+        };
       }
+      if (existing.validation && match.validation && match.validation.dropped) {
+        existing.validation.dropped += match.validation.dropped;
+      }
+    });
+    return aggregate;
+  }
+
+  /**
+   * Report complete credential sets among one object's matches as Critical pairs
+   */
+  correlateMatches(matches) {
+    return correlateCredentials(matches, { maxLineDistance: this.credentialPairMaxLines });
+  }
+
+  /**
+   * Open an object (or one version of it) for streaming, capped at the configured maximum
+   * object size. Returns the response body, object size and ContentType, or null when the
+   * object cannot be read.
+   */
+  async readObjectStream(source, bucket, key, versionId = null) {
+    try {
+      logger.debug(`Attempting to read object: ${bucket}/${key}${versionId ? ` (version ${versionId})` : ''}`);
       
-      logger.debug(`No body in response for ${bucket}/${key}`);
-      return '';
+      const object = await source.readObject(bucket, key, { versionId, maxBytes: this.maxObjectBytes });
+      
+      if (!object) {
+        logger.debug(`No body in response for ${bucket}/${key}`);
+        return null;
+      }
+
+      return object;
     } catch (error) {
       const code = error && (error.name || error.code || (error.$metadata && error.$metadata.httpStatusCode));
       logger.warn(`Failed to read object ${bucket}/${key}: ${error.message || 'Unknown error'} (${code || 'no-code'})`);
@@ -108,168 +501,962 @@ class ScannerService {
       if (error && error.message && error.message.includes('KMS')) {
         logger.warn('KMS error when reading object. Ensure kms:Decrypt permission for the object\'s KMS key.');
       }
-      return '';
+      return null;
     }
   }
 
   /**
-   * Scan a single S3 object
+   * Scan a readable stream in fixed-size windows.
+   * Each window after the first starts with the last `chunkOverlapBytes` of the previous
+   * one, so a match split across a chunk boundary is still seen whole. A window counts the
+   * matches ending in the first half of its overlap with the next window and leaves the rest
+   * to the next one, so a value cut off at the window's end is not also counted as a
+   * shorter value. A match that starts before the next window and ends after the cut is
+   * counted by this window, and the next window skips its tail. The byte offset,
+   * line and column each window starts at are carried forward so match positions are
+   * relative to the whole object. Windows are decoded in `encoding` (see utils/content.js)
+   * and cut on character boundaries.
    */
-  async scanObject(s3Client, bucket, key) {
+  async scanStream(body, budget = this.createDetectorBudget(), encoding = 'utf8') {
+    const matches = [];
+    let pending = Buffer.alloc(0);
+    let carried = 0;
+    let counted = 0;
+    let skipBefore = null;
+    let bytesScanned = 0;
+    let base = { offset: 0, line: 1, column: 1 };
+
+    // `counted` bytes at the start of the window were counted by the previous window, and
+    // matches ending after `cut` bytes are left to the next one, which starts `advance`
+    // bytes in, unless they start before it
+    const scanWindow = async (buffer, cut = buffer.length, advance = buffer.length) => {
+      const text = decodeText(buffer, encoding);
+      const minEnd = counted > 0 ? decodeText(buffer.subarray(0, counted), encoding).length : 0;
+      const maxEnd = cut < buffer.length ? decodeText(buffer.subarray(0, cut), encoding).length : null;
+      const nextStart = decodeText(buffer.subarray(0, advance), encoding).length;
+      const spanning = {};
+      this.mergeMatches(matches, await this.matchText(text, {
+        minEnd, maxEnd, nextStart, skipBefore, spanning, base, budget, encoding
+      }));
+      bytesScanned += buffer.length - carried;
+
+      // Tails of the matches counted here, in the next window's characters
+      skipBefore = {};
+      Object.keys(spanning).forEach(key => {
+        skipBefore[key] = spanning[key] - nextStart;
+      });
+    };
+
+    // Position of the next window, which starts `advance` bytes into this one
+    const advanceBase = (buffer, advance) => {
+      const consumed = decodeText(buffer.subarray(0, advance), encoding);
+      const lastNewline = consumed.lastIndexOf('\n');
+      let newlines = 0;
+      for (let i = consumed.indexOf('\n'); i !== -1; i = consumed.indexOf('\n', i + 1)) {
+        newlines++;
+      }
+      const tail = consumed.length - lastNewline - 1;
+      base = {
+        offset: base.offset + advance,
+        line: base.line + newlines,
+        column: lastNewline === -1 ? base.column + tail : tail + 1
+      };
+    };
+
+    for await (const chunk of body) {
+      pending = Buffer.concat([pending, Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)]);
+
+      while (pending.length >= this.chunkBytes) {
+        // Start the next window on a character boundary, not inside a multi-byte character
+        const advance = alignToCharacter(pending, this.chunkBytes - this.chunkOverlapBytes, encoding);
+        const cut = alignToCharacter(pending, advance + Math.floor((this.chunkBytes - advance) / 2), encoding);
+
+        await scanWindow(pending.subarray(0, this.chunkBytes), cut, advance);
+        advanceBase(pending, advance);
+        pending = pending.subarray(advance);
+        carried = this.chunkBytes - advance;
+        counted = cut - advance;
+      }
+    }
+
+    if (pending.length > counted) {
+      await scanWindow(pending);
+    }
+
+    return { matches, bytesScanned };
+  }
+
+  /**
+   * Scan a single S3 object.
+   * The first bytes and ContentType decide how it is read (see utils/content.js): binary
+   * content is skipped, archives and documents are opened, text is decoded in its encoding.
+   * Returns one result per object (or per archive member) with matches or warnings
+   * (detectors that ran out of time); empty when clean. `versionId` reads a noncurrent version.
+   */
+  async scanObject(source, bucket, key, versionId = null) {
     try {
-      if (this.shouldSkipFile(key)) {
+      // Known binary extensions are skipped without a download; anything else is sniffed
+      if (!documentTypeOf(key) && !archiveTypeOf(key) && this.shouldSkipFile(key)) {
         logger.debug(`Skipping binary file: ${bucket}/${key}`);
-        return null;
+        return [];
       }
 
-      const content = await this.readObjectContent(s3Client, bucket, key);
-      if (!content || content.trim().length === 0) {
-        logger.debug(`Empty content in file: ${bucket}/${key}`);
-        return null;
+      const object = await this.readObjectStream(source, bucket, key, versionId);
+      if (!object) {
+        this.failedObjects.add(objectPath(bucket, key, versionId));
+        return [];
       }
 
-      logger.debug(`Scanning file: ${bucket}/${key}, content length: ${content.length}`);
-      
-      const matches = this.scanTextContent(content);
-      logger.debug(`Found ${matches.length} matches in ${bucket}/${key}`);
-      
-      if (matches.length === 0) {
-        return null;
+      const { head, body, close } = await peekStream(object.body, SNIFF_BYTES);
+      const content = sniffContent(head, { name: key, contentType: object.contentType });
+      if (content.kind === 'binary') {
+        await close();
+        logger.debug(`Skipping binary content${content.type ? ` (${content.type})` : ''}: ${bucket}/${key}`);
+        return [];
       }
 
-      return {
+      // Archives, documents and structured files are parsed whole rather than in windows
+      let textBody = body;
+      const extraWarnings = [];
+      if (content.kind !== 'text' || content.structuredType) {
+        const chunks = [];
+        for await (const chunk of body) {
+          chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+        }
+        const buffer = Buffer.concat(chunks);
+        if (object.objectSize <= buffer.length) {
+          if (content.kind === 'archive') {
+            return this.scanArchive(bucket, key, buffer, content.type);
+          }
+          const result = await this.scanBuffer({ bucket, key, objectKey: key, name: key, buffer, content, contentType: object.contentType });
+          return result ? [result] : [];
+        }
+
+        // Only part of the file was read: keep it out of the scan index so later scans try again
+        this.failedObjects.add(objectPath(bucket, key, versionId));
+        if (content.kind !== 'text') {
+          logger.warn(`File ${bucket}/${key} exceeds the ${this.maxObjectBytes} byte limit; skipping`);
+          return [];
+        }
+        // A structured file cannot be parsed from its first bytes; they are scanned as plain text
+        logger.warn(`Structured file ${bucket}/${key} exceeds the ${this.maxObjectBytes} byte limit; scanning the first ${buffer.length} bytes as plain text`);
+        textBody = Readable.from([buffer]);
+        extraWarnings.push({
+          type: 'object_truncated',
+          message: `File exceeds the ${this.maxObjectBytes} byte limit; only the first ${buffer.length} bytes were scanned, as plain text without ${content.structuredType} field parsing`
+        });
+      }
+
+      const budget = this.createDetectorBudget({
+        bucket, key, objectKey: key, contentType: object.contentType || null, encoding: content.encoding
+      });
+      const { matches: found, bytesScanned } = await this.scanStream(textBody, budget, content.encoding);
+      const matches = this.correlateMatches(found);
+      logger.debug(`Scanned ${bytesScanned} bytes of ${bucket}/${key}, found ${matches.length} matches`);
+
+      const truncated = object.objectSize > bytesScanned;
+      if (truncated) {
+        logger.warn(`Object ${bucket}/${key} exceeds the ${this.maxObjectBytes} byte limit; only the first ${bytesScanned} bytes were scanned`);
+      }
+
+      const warnings = [...this.detectorWarnings(budget, `${bucket}/${key}`), ...extraWarnings];
+      if (matches.length === 0 && warnings.length === 0) {
+        return [];
+      }
+
+      return [{
         bucket,
         key,
-        size: content.length,
+        objectKey: key,
+        size: object.objectSize,
+        bytesScanned,
+        truncated,
+        ...(content.encoding !== 'utf8' && { encoding: content.encoding }),
+        ...(warnings.length > 0 && { warnings }),
         matches
-      };
+      }];
     } catch (error) {
-      logger.error(`Error scanning object ${bucket}/${key}:`, error.message);
+      logger.error(`Error scanning object ${bucket}/${key}: ${error.message}`);
+      this.failedObjects.add(objectPath(bucket, key, versionId));
+      return [];
+    }
+  }
+
+  /**
+   * Scan a fully-read file (an object or an archive member), choosing document
+   * extraction, structured parsing or plain-text scanning from its sniffed `content`.
+   * Returns a result with matches or warnings, or null when clean or binary.
+   * `contentType` is the object's Content-Type, when the source reported one.
+   */
+  async scanBuffer({ bucket, key, objectKey, name, buffer, size = buffer.length, truncated = false, content = null, contentType = null }) {
+    const sniffed = content || sniffContent(buffer.subarray(0, SNIFF_BYTES), { name });
+    if (sniffed.kind === 'binary' || sniffed.kind === 'archive') {
+      logger.debug(`Skipping ${sniffed.kind} content${sniffed.type ? ` (${sniffed.type})` : ''}: ${bucket}/${key}`);
       return null;
     }
+
+    let matches = null;
+    let format = null;
+    const encoding = sniffed.encoding || 'utf8';
+    const budget = this.createDetectorBudget({ bucket, key, objectKey, contentType, encoding });
+
+    const documentType = sniffed.kind === 'document' ? sniffed.type : null;
+    const structuredType = sniffed.structuredType;
+    const documentWarnings = [];
+    if (documentType) {
+      matches = await this.scanDocument(bucket, key, buffer, documentType, budget, documentWarnings);
+      format = documentType;
+    } else if (structuredType) {
+      matches = await this.scanStructured(decodeText(buffer, encoding), structuredType, budget, encoding);
+      format = matches ? structuredType : null;
+      if (!matches) {
+        logger.debug(`Could not parse ${bucket}/${key} as ${structuredType}; scanning as plain text`);
+      }
+    }
+
+    let bytesScanned = buffer.length;
+    if (!matches) {
+      ({ matches, bytesScanned } = await this.scanStream(Readable.from([buffer]), budget, encoding));
+    }
+    matches = this.correlateMatches(matches);
+
+    logger.debug(`Scanned ${bucket}/${key}${format ? ` as ${format}` : ''}, found ${matches.length} matches`);
+    const warnings = [...this.detectorWarnings(budget, `${bucket}/${key}`), ...documentWarnings];
+    if (matches.length === 0 && warnings.length === 0) {
+      return null;
+    }
+
+    return {
+      bucket,
+      key,
+      objectKey,
+      size,
+      bytesScanned,
+      truncated,
+      ...(format && { format }),
+      ...(!documentType && encoding !== 'utf8' && { encoding }),
+      ...(warnings.length > 0 && { warnings }),
+      matches
+    };
+  }
+
+  /**
+   * Scan labelled text segments as one text so context keywords can span neighbouring
+   * segments; each match is mapped back to the location of the segment it fell in.
+   * When the segments were parsed from `raw` text and carry a `rawOffset` (and the
+   * `valueStart` of the value within the segment), positions point into the raw file;
+   * otherwise lines and columns are counted within the segment and there is no byte offset.
+   */
+  async scanSegments(segments, raw = null, budget = this.createDetectorBudget(), encoding = 'utf8') {
+    const starts = [];
+    let offset = 0;
+    segments.forEach(segment => {
+      starts.push(offset);
+      offset += segment.text.length + 1;
+    });
+    const text = segments.map(segment => segment.text).join('\n');
+
+    // Binary search for the segment containing a character offset
+    const segmentAt = (index) => {
+      let low = 0;
+      let high = starts.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (starts[mid] <= index) low = mid; else high = mid - 1;
+      }
+      return low;
+    };
+    const locate = (index) => {
+      const segment = segments[segmentAt(index)];
+      return segment ? segment.location : null;
+    };
+
+    const lines = createLineIndex(text);
+    const rawLines = raw !== null ? createLineIndex(raw, encoding) : null;
+    const position = (index) => {
+      const current = segmentAt(index);
+      const segment = segments[current];
+      const within = index - starts[current];
+      if (rawLines && segment && segment.rawOffset !== undefined && within >= (segment.valueStart || 0)) {
+        const rawIndex = segment.rawOffset + within - (segment.valueStart || 0);
+        return { ...rawLines.positionAt(rawIndex), offset: rawLines.byteOffsetAt(rawIndex) };
+      }
+      if (rawLines) {
+        return { line: null, column: null, offset: null };
+      }
+      const { line, column } = lines.positionAt(index);
+      return { line: line - lines.positionAt(starts[current]).line + 1, column, offset: null };
+    };
+
+    return this.matchText(text, { locate, position, budget });
   }
 
   /**
-   * List objects in a bucket (limited to 200)
+   * Extract text from a PDF or Office document and scan it, locating matches by
+   * page, slide, paragraph or sheet cell. Returns an empty list when extraction fails.
+   * A PDF cut short by the page limit or stopped by the time limit adds to `warnings`.
    */
-  async listBucketObjects(s3Client, bucketName) {
+  async scanDocument(bucket, key, buffer, type, budget, warnings = []) {
     try {
-      const command = new ListObjectsV2Command({
-        Bucket: bucketName,
-        MaxKeys: 200
+      const segments = type === 'pdf'
+        ? await this.extractPdf(bucket, key, buffer, warnings)
+        : await extractDocumentText(buffer, type, { ...this.archive, maxMemberBytes: this.maxObjectBytes });
+      logger.debug(`Extracted ${segments.length} ${type} segments from ${bucket}/${key}`);
+      return await this.scanSegments(segments, null, budget);
+    } catch (error) {
+      logger.warn(`Failed to extract text from ${type} ${bucket}/${key}: ${error.message}`);
+      if (error.timedOut) {
+        warnings.push({
+          type: 'extraction_timeout',
+          message: `Text extraction was stopped after ${this.pdfTimeoutMs}ms; the document was not scanned`
+        });
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Extract the pages of a PDF in the PDF worker pool, within the time and page limits
+   */
+  async extractPdf(bucket, key, buffer, warnings) {
+    const { segments, pageCount } = await this.getPdfPool().run({ buffer, maxPages: this.pdfMaxPages }, this.pdfTimeoutMs);
+    if (pageCount > this.pdfMaxPages) {
+      logger.warn(`PDF ${bucket}/${key} has ${pageCount} pages; only the first ${this.pdfMaxPages} were scanned`);
+      warnings.push({
+        type: 'document_truncated',
+        message: `The PDF has ${pageCount} pages; only the first ${this.pdfMaxPages} were scanned`
       });
+    }
+    return segments;
+  }
 
-      const response = await s3Client.send(command);
-      return response.Contents || [];
+  /**
+   * Scan a JSON, CSV, YAML or dotenv file field by field, locating matches by JSON
+   * path, CSV row/column, YAML key path or variable name. Returns null when the text
+   * does not parse so the caller can fall back to plain-text scanning.
+   */
+  async scanStructured(text, type, budget, encoding = 'utf8') {
+    // Parse without a byte order mark, but keep raw offsets relative to the text with it
+    const bom = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+    const fields = parseStructured(bom ? text.slice(bom) : text, type);
+    if (!fields) {
+      return null;
+    }
+    if (bom) {
+      fields.forEach(field => {
+        if (field.rawOffset !== undefined) {
+          field.rawOffset += bom;
+        }
+      });
+    }
+
+    // The field name is kept in front of the value so it counts as a context keyword
+    const segments = fields.map(field => ({
+      location: field.location,
+      text: field.name ? `${field.name}: ${field.value}` : field.value,
+      rawOffset: field.rawOffset,
+      valueStart: field.name ? field.name.length + 2 : 0
+    }));
+
+    const matches = await this.scanSegments(segments, text, budget, encoding);
+    return matches.concat(this.scanFieldNames(fields, text, encoding, budget));
+  }
+
+  /**
+   * Flag fields whose name marks them as sensitive (an `aadhaar_no` column, a
+   * `password` key) when the regular detectors did not already match their value,
+   * e.g. because the value is malformed. The value checks run in the regex sandbox and
+   * are charged to the object's detector `budget`; a detector out of time flags no fields.
+   */
+  scanFieldNames(fields, raw, encoding = 'utf8', budget = this.createDetectorBudget()) {
+    const byPattern = new Map();
+    const rawLines = createLineIndex(raw, encoding);
+
+    // The snippet is the field alone; raw neighbours may hold values no detector masked
+
+    fields.forEach(field => {
+      if (!field.name || placeholderValueRegex.test(field.value.trim())) {
+        return;
+      }
+
+      const normalized = normalizeFieldName(field.name);
+      const pattern = rulesService.getActivePatterns().find(p => p.fieldNames && p.fieldNames.test(normalized));
+      if (!pattern) {
+        return;
+      }
+
+      if (budget.timedOut.includes(pattern.key)) {
+        return;
+      }
+      const started = Date.now();
+      let valueMatch;
+      try {
+        [valueMatch] = execWithTimeout(pattern.regex.source, 'gi', field.value,
+          this.detectorBudgetMs - (budget.spent[pattern.key] || 0), 1);
+      } catch (error) {
+        if (!error.timedOut) {
+          throw error;
+        }
+        budget.timedOut.push(pattern.key);
+        return;
+      } finally {
+        budget.spent[pattern.key] = (budget.spent[pattern.key] || 0) + Date.now() - started;
+      }
+      const detected = valueMatch && (!pattern.validator || runValidator(pattern.validator, valueMatch.value).valid);
+      if (detected) {
+        return;
+      }
+
+      if (!byPattern.has(pattern)) {
+        byPattern.set(pattern, []);
+      }
+      const located = field.rawOffset !== undefined;
+      byPattern.get(pattern).push({
+        value: field.value,
+        keyword: field.name,
+        // The name is strong context, but the value itself did not check out
+        confidence: scoreConfidence({ pattern, keyword: field.name, validation: { valid: false } }),
+        location: field.location,
+        field: field.name,
+        ...(located
+          ? { ...rawLines.positionAt(field.rawOffset), offset: rawLines.byteOffsetAt(field.rawOffset) }
+          : { line: null, column: null, offset: null }),
+        snippet: `${field.name}: ${redaction.redactValue(field.value)}`
+      });
+    });
+
+    return [...byPattern.entries()].map(([pattern, occurrences]) => ({
+      pattern: pattern.key,
+      label: pattern.label,
+      description: pattern.description,
+      recommendation: pattern.recommendation,
+      ...this.summarizeOccurrences(occurrences, pattern.key),
+      severity: pattern.severity,
+      detectedBy: 'field_name',
+      fields: [...new Set(occurrences.map(o => o.field))].slice(0, 10)
+    }));
+  }
+
+  /**
+   * Scan every text member of an archive, recursing into nested archives.
+   * Member results are keyed `key!member/path`. When a limit is hit, results found so
+   * far are kept and marked with `archiveLimit`.
+   */
+  async scanArchive(bucket, key, buffer, type) {
+    const results = [];
+    const budget = createBudget(this.archive);
+
+    try {
+      await this.scanArchiveMembers({ bucket, objectKey: key, path: key, buffer, type, depth: 1, budget, results });
     } catch (error) {
-      logger.error(`Failed to list objects in bucket ${bucketName}:`, error.message);
-      return [];
+      if (!(error instanceof ArchiveLimitError)) {
+        logger.warn(`Failed to read archive ${bucket}/${key}: ${error.message}`);
+        return results;
+      }
+      logger.warn(`Archive limit reached in ${bucket}/${key}: ${error.message}; remaining members not scanned`);
+      results.forEach(result => {
+        result.archiveLimit = error.message;
+      });
     }
+
+    logger.debug(`Scanned ${budget.members} archive members (${budget.bytes} bytes) in ${bucket}/${key}`);
+    return results;
   }
 
   /**
-   * Run comprehensive S3 scan
+   * Walk one archive level, scanning members and descending into nested archives
    */
-  async runScan(session) {
+  async scanArchiveMembers({ bucket, objectKey, path, buffer, type, depth, budget, results }) {
+    const name = path.substring(path.lastIndexOf('!') + 1);
+
+    await walkArchive(buffer, type, name, { maxMemberBytes: this.maxObjectBytes, budget }, async (member) => {
+      // Office files are zips too; sniffContent tells them apart from archives
+      const content = sniffContent(member.buffer.subarray(0, SNIFF_BYTES), { name: member.name });
+      const nestedType = content.kind === 'archive' && content.type;
+      // A gzip wrapper around another archive (.tar.gz) adds no path segment of its own
+      const memberPath = type === 'gzip' && nestedType ? path : `${path}!${member.name}`;
+
+      if (nestedType) {
+        if (depth >= this.archive.maxDepth) {
+          logger.warn(`Archive nesting deeper than ${this.archive.maxDepth} levels at ${bucket}/${memberPath}; skipping`);
+          return;
+        }
+        await this.scanArchiveMembers({
+          bucket, objectKey, path: memberPath, buffer: member.buffer, type: nestedType, depth: depth + 1, budget, results
+        });
+        return;
+      }
+
+      if (content.kind === 'binary') {
+        logger.debug(`Skipping binary archive member${content.type ? ` (${content.type})` : ''}: ${bucket}/${memberPath}`);
+        return;
+      }
+
+      const result = await this.scanBuffer({
+        bucket,
+        key: memberPath,
+        objectKey,
+        name: member.name,
+        buffer: member.buffer,
+        size: member.size,
+        truncated: member.truncated,
+        content
+      });
+      if (result) {
+        results.push(result);
+      }
+    });
+  }
+
+  /**
+   * List objects in a bucket through a source, page by page up to `limit` objects in scope.
+   * Include prefixes of the scope are listed directly; other filters are applied to each
+   * listed object and the objects left out are counted per reason in `outOfScope`.
+   * With `visit`, objects in scope are passed to it instead of being collected, and `listed`
+   * counts them. With `versions` (see utils/versions.js) object versions are listed
+   * (ListObjectVersions on S3): current versions carry their VersionId and the noncurrent versions
+   * within the limits are listed too; `versionStats` counts the noncurrent versions listed
+   * and skipped and the keys whose latest version is a delete marker.
+   */
+  async listBucketObjects(source, bucketName, { limit = this.maxObjectsPerBucket, scope = {}, visit = null, versions = null } = {}) {
+    const objects = [];
+    const outOfScope = {};
+    const versionStats = { noncurrentVersions: 0, skippedVersions: 0, deletedKeys: 0 };
+    let listed = 0;
+    let truncated = false;
+
+    // A prefix inside another included prefix would list the same objects twice
+    const prefixes = scope.includePrefixes
+      ? [...new Set(scope.includePrefixes)].filter(prefix => !scope.includePrefixes.some(other => other !== prefix && prefix.startsWith(other)))
+      : [undefined];
+
+    const inScope = (obj) => {
+      if (obj.Key.endsWith('/')) return false;
+      const reason = objectOutOfScope(scope, obj);
+      if (reason) {
+        outOfScope[reason] = (outOfScope[reason] || 0) + 1;
+      }
+      return !reason;
+    };
+
+    const walkVersions = versions ? createVersionWalker(versions) : null;
+
+    // One page of objects in scope; `next` is the marker for the following page, if any
+    const listPage = async (prefix, marker) => {
+      const page = await source.listObjects(bucketName, {
+        prefix,
+        marker,
+        maxKeys: Math.min(1000, limit - listed),
+        versions: !!versions
+      });
+      if (!versions) {
+        return { contents: page.objects.filter(inScope), next: page.next };
+      }
+
+      const contents = [];
+      page.objects.forEach(entry => {
+        const { object, skipped } = walkVersions(entry);
+        if (entry.deleteMarker && entry.IsLatest) {
+          versionStats.deletedKeys++;
+        }
+        if (skipped) {
+          versionStats.skippedVersions++;
+        }
+        if (object && inScope(object)) {
+          contents.push(object);
+        }
+      });
+      return { contents, next: page.next };
+    };
+    try {
+      for (let i = 0; i < prefixes.length && !truncated; i++) {
+        let marker;
+        do {
+          const page = await listPage(prefixes[i], marker);
+          const kept = page.contents.slice(0, limit - listed);
+          versionStats.noncurrentVersions += kept.filter(obj => obj.noncurrent).length;
+          if (visit) {
+            kept.forEach(obj => visit(obj));
+          } else {
+            objects.push(...kept);
+          }
+          listed += kept.length;
+
+          marker = page.next;
+          logger.debug(`Listed ${listed} objects so far in bucket ${bucketName}`);
+        } while (marker && listed < limit);
+
+        // Objects may remain under this prefix or the prefixes not listed yet
+        truncated = !!marker || (listed >= limit && i < prefixes.length - 1);
+      }
+
+      if (truncated) {
+        logger.warn(`Object cap of ${limit} reached for bucket ${bucketName}; remaining objects not scanned`);
+      }
+    } catch (error) {
+      // Objects listed before the failure are still scanned; the rest of the bucket is not
+      truncated = true;
+      logger.error(`Failed to list objects in bucket ${bucketName}; scanning the ${objects.length} objects listed so far: ${error.message}`);
+    }
+
+    return { objects, listed, truncated, outOfScope, ...(versions && { versionStats }) };
+  }
+
+  /**
+   * Fingerprint of everything that shapes an object's results: the active rules and detector
+   * plugins, scanner limits and the redaction policy. Results saved under another signature are not reused.
+   */
+  detectorSignature() {
+    const rules = rulesService.getActivePatterns().map(pattern => [
+      pattern.key, pattern.severity, pattern.regex.source, pattern.regex.flags, pattern.validator || null,
+      pattern.onInvalid || null, pattern.contextKeywords || null, pattern.baseConfidence === undefined ? null : pattern.baseConfidence
+    ]);
+    const plugins = this.activeDetectorPlugins().map(plugin => [plugin.key, plugin.hash, plugin.version, plugin.severity]);
+    const settings = [
+      this.maxObjectBytes, this.chunkBytes, this.chunkOverlapBytes, this.archive, this.contextWindowChars,
+      this.maxOccurrences, this.maxDistinctValues, this.entropy, this.detectorBudgetMs, this.credentialPairMaxLines, SNIFF_BYTES,
+      this.pdfMaxPages, this.pdfTimeoutMs,
+      redaction.mode, redaction.fingerprint('scan-index')
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify([rules, plugins, settings])).digest('hex');
+  }
+
+  /**
+   * Load the results of earlier scans of one bucket (index `shard`); empty when they were
+   * produced under another signature
+   */
+  async loadScanIndex(signature, shard) {
+    try {
+      const index = await this.indexStore.load(shard);
+      if (index && index.signature === signature) {
+        return index;
+      }
+      if (index && index.signature) {
+        logger.info('Detection rules or scanner settings changed since the last scan; rescanning every object');
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable scan index: ${error.message}`);
+    }
+    return { signature, objects: {} };
+  }
+
+  /**
+   * Save one bucket's scan index, dropping objects not seen for `indexMaxAgeDays`
+   */
+  async saveScanIndex(shard, index) {
+    const cutoff = Date.now() - this.indexMaxAgeDays * 24 * 60 * 60 * 1000;
+    Object.keys(index.objects).forEach(objectKey => {
+      if (new Date(index.objects[objectKey].seenAt).getTime() < cutoff) {
+        delete index.objects[objectKey];
+      }
+    });
+
+    try {
+      await this.indexStore.save(shard, index);
+    } catch (error) {
+      logger.warn(`Failed to save scan index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fingerprints of every value recorded in a list of object results
+   */
+  resultFingerprints(results) {
+    return results.map(result => result.matches.map(match => [
+      ...(match.fingerprints || []).map(entry => entry.fingerprint),
+      ...(match.occurrences || []).map(occurrence => occurrence.fingerprint)
+    ]).flat()).flat().filter(Boolean);
+  }
+
+  /**
+   * Whether a listed object is the same version an index entry was scanned from
+   */
+  isUnchanged(entry, object) {
+    const lastModified = object.LastModified ? new Date(object.LastModified).toISOString() : null;
+    return !!entry && !!object.ETag &&
+      entry.etag === object.ETag &&
+      entry.size === object.Size &&
+      entry.lastModified === lastModified;
+  }
+
+  /**
+   * Run comprehensive S3 scan.
+   * `options.scope` (see utils/scope.js) limits the buckets and objects scanned;
+   * `options.scopeProfile` names the saved profile it came from.
+   * Unchanged objects reuse their earlier results unless `options.forceFullScan` is set.
+   * `options.source` picks the source adapter (default "s3"); on S3 each bucket is read
+   * through a client for its own region.
+   * `options.detectors` lists the detector plugins to run (see rulesService.selectDetectors);
+   * by default those enabled in their modules run.
+   */
+  async runScan(session, options = {}) {
     const startTime = Date.now();
-    const s3Client = this.getS3Client(session);
+    const source = this.createScanSource(session, options.source);
+    this.resetProgress();
+    this.failedObjects = new Set();
+    this.scanPlugins = options.detectors || rulesService.selectDetectors();
     
     try {
-      logger.info('Starting S3 security scan...');
+      logger.info(`Starting security scan of ${source.name}...`);
       
       // List all buckets
-      const listBucketsCommand = new ListBucketsCommand({});
-      const bucketsResponse = await s3Client.send(listBucketsCommand);
-      const buckets = bucketsResponse.Buckets || [];
+      const scope = options.scope || {};
+      const buckets = (await source.listBuckets()).filter(bucket => bucketInScope(scope, bucket.Name));
+      const fullScan = !this.incrementalEnabled || !!options.forceFullScan;
+      const scopeStats = {
+        source: { type: source.type, name: source.name },
+        pluginDetectors: this.scanPlugins.map(plugin => plugin.key),
+        scope, scopeProfile: options.scopeProfile || null, fullScan, rescannedObjects: 0, reusedObjects: 0
+      };
+      const versionStats = options.versions ? { ...options.versions, noncurrentVersions: 0, skippedVersions: 0, deletedKeys: 0 } : null;
       
       logger.info(`Found ${buckets.length} buckets to scan`);
       
       if (buckets.length === 0) {
-        logger.warn('No buckets found to scan');
+        logger.warn(Object.keys(scope).length > 0 ? 'No buckets in scope to scan' : 'No buckets found to scan');
         const scanDurationEmpty = Date.now() - startTime;
-        return { summary: this.generateSummary([], scanDurationEmpty), findings: [] };
+        const emptyStats = {
+          totalObjects: 0, scannedObjects: 0, truncatedBuckets: [], posture: {}, outOfScope: {}, regions: {}, ...scopeStats,
+          sample: options.sample && { ...options.sample, strata: [], objectStrata: {}, listingTruncatedBuckets: [] },
+          versions: versionStats
+        };
+        return { summary: this.generateSummary([], scanDurationEmpty, emptyStats), findings: [], results: [], stats: emptyStats };
       }
       
       // Log bucket names for debugging
       logger.info('Buckets to scan:', buckets.map(b => b.Name).join(', '));
+
+      // Buckets outside the default region must be read through a client for their own region
+      const bucketRegions = {};
+      for (const bucket of buckets) {
+        bucketRegions[bucket.Name] = await source.bucketRegion(bucket.Name);
+      }
       
       // Check if we have access to buckets
       for (const bucket of buckets) {
         try {
-          const testCommand = new ListObjectsV2Command({
-            Bucket: bucket.Name,
-            MaxKeys: 1
-          });
-          await s3Client.send(testCommand);
+          await source.listObjects(bucket.Name, { maxKeys: 1 });
           logger.debug(`✅ Access confirmed for bucket: ${bucket.Name}`);
         } catch (error) {
           logger.warn(`❌ No access to bucket ${bucket.Name}: ${error.message}`);
         }
       }
       
-      const allFindings = [];
+      // List every bucket up front so totals and progress cover all objects. A sampling scan
+      // streams each listing through the sampler and scans only the objects it picks.
+      const maxObjectsPerBucket = options.maxObjectsPerBucket || this.maxObjectsPerBucket;
+      const maxObjectsPerScan = options.maxObjectsPerScan || this.maxObjectsPerScan;
+      const sampler = options.sample ? createSampler(options.sample, { limit: maxObjectsPerScan, maxStrata: this.sampleMaxStrata }) : null;
+      const bucketObjects = [];
+      const truncatedBuckets = [];
+      const outOfScope = {};
+      const regions = {};
       let totalObjects = 0;
+
+      for (const bucket of buckets) {
+        const remaining = maxObjectsPerScan - totalObjects;
+        if (!sampler && remaining <= 0) {
+          logger.warn(`Per-scan object cap of ${maxObjectsPerScan} reached; skipping bucket ${bucket.Name}`);
+          truncatedBuckets.push(bucket.Name);
+          continue;
+        }
+
+        const region = bucketRegions[bucket.Name];
+        const listing = await this.listBucketObjects(source, bucket.Name, {
+          limit: sampler ? this.sampleMaxListedObjects : Math.min(maxObjectsPerBucket, remaining),
+          scope,
+          visit: sampler && (obj => sampler.offer(bucket.Name, obj)),
+          versions: options.versions || null
+        });
+        const { objects, truncated } = listing;
+        logger.info(`Found ${listing.listed} objects in bucket ${bucket.Name}`);
+        Object.keys(listing.outOfScope).forEach(reason => {
+          outOfScope[reason] = (outOfScope[reason] || 0) + listing.outOfScope[reason];
+        });
+        if (versionStats) {
+          versionStats.skippedVersions += listing.versionStats.skippedVersions;
+          versionStats.deletedKeys += listing.versionStats.deletedKeys;
+        }
+
+        if (truncated) {
+          truncatedBuckets.push(bucket.Name);
+        }
+        totalObjects += objects.length;
+        bucketObjects.push({ bucketName: bucket.Name, region, objects });
+      }
+
+      let sample = null;
+      if (sampler) {
+        const selection = sampler.select();
+        bucketObjects.forEach(entry => {
+          entry.objects = selection.buckets[entry.bucketName] || [];
+        });
+        totalObjects = bucketObjects.reduce((sum, entry) => sum + entry.objects.length, 0);
+        // Keys past the listing cap, or past a failed listing page, were never offered to the
+        // sampler, so the estimates cover only the keys listed in these buckets
+        if (truncatedBuckets.length > 0) {
+          logger.warn(`Listing stopped early in ${truncatedBuckets.join(', ')}; the sample covers the listed objects only`);
+        }
+        sample = {
+          ...options.sample,
+          strata: selection.strata,
+          objectStrata: selection.objectStrata,
+          listingTruncatedBuckets: [...truncatedBuckets]
+        };
+        logger.info(`Sampled ${totalObjects} objects from ${selection.strata.length} strata`);
+      }
+
+      bucketObjects.forEach(({ region, objects }) => {
+        const regionStats = regions[region || 'unknown'] || (regions[region || 'unknown'] = { buckets: 0, objects: 0 });
+        regionStats.buckets++;
+        regionStats.objects += objects.length;
+        if (versionStats) {
+          versionStats.noncurrentVersions += objects.filter(obj => obj.noncurrent).length;
+        }
+      });
+
+      this.progress.totalObjects = totalObjects;
+
+      // Bucket posture for the compliance frameworks
+      const posture = {};
+      if (this.postureChecksEnabled && source.checkPosture) {
+        for (const { bucketName } of bucketObjects) {
+          posture[bucketName] = await source.checkPosture(bucketName);
+        }
+      }
+
+      const allFindings = [];
       let scannedObjects = 0;
+      let rescannedObjects = 0;
+      let reusedObjects = 0;
+      const signature = this.incrementalEnabled ? this.detectorSignature() : null;
+      const seenAt = new Date().toISOString();
+      // Index entries of other sources are kept apart from S3's, which keep their original keys
+      const indexPrefix = source.type === 's3' ? '' : `${source.type}:`;
       
       // Scan each bucket
-      for (const bucket of buckets) {
-        const bucketName = bucket.Name;
-        logger.info(`Scanning bucket: ${bucketName}`);
+      for (const { bucketName, region, objects } of bucketObjects) {
+        logger.info(`Scanning bucket: ${bucketName}${region ? ` (${region})` : ''}`);
+        this.progress.currentBucket = bucketName;
+        // The index is kept per bucket, so only the bucket being scanned is held in memory
+        const indexShard = `${indexPrefix}${bucketName}`;
+        const index = signature ? await this.loadScanIndex(signature, indexShard) : null;
         
-        const objects = await this.listBucketObjects(s3Client, bucketName);
-        logger.info(`Found ${objects.length} objects in bucket ${bucketName}`);
-        totalObjects += objects.length;
-        
-              // Scan objects in parallel (limit concurrency)
-      const batchSize = 10;
-      for (let i = 0; i < objects.length; i += batchSize) {
-        const batch = objects.slice(i, i + batchSize);
-        logger.debug(`Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(objects.length/batchSize)}`);
-        
-        const batchPromises = batch.map(async (obj) => {
-          const result = await this.scanObject(s3Client, bucketName, obj.Key);
-          if (result === null) {
-            logger.debug(`No issues found in: ${bucketName}/${obj.Key}`);
+        // Download up to downloadConcurrency objects at once; matching is spread over the worker pool
+        const bucketResults = await mapWithConcurrency(objects, this.downloadConcurrency, async (obj) => {
+          const noncurrentVersionId = obj.noncurrent ? obj.VersionId : null;
+          const objectKey = objectPath(bucketName, obj.Key, noncurrentVersionId);
+          const indexKey = `${indexPrefix}${objectKey}`;
+          const previous = index && index.objects[indexKey];
+          let results;
+          // Reveal needs the raw values, which only a fresh read remembers again (after a restart)
+          if (!fullScan && this.isUnchanged(previous, obj) && !redaction.missingRevealable(this.resultFingerprints(previous.results))) {
+            previous.seenAt = seenAt;
+            reusedObjects++;
+            results = previous.results;
           } else {
-            logger.debug(`Issues found in: ${bucketName}/${obj.Key} - ${result.matches.length} patterns matched`);
+            this.progress.currentFile = objectKey;
+            results = await this.scanObject(source, bucketName, obj.Key, noncurrentVersionId);
+            rescannedObjects++;
+            if (index && obj.ETag && !this.failedObjects.has(objectKey)) {
+              index.objects[indexKey] = {
+                etag: obj.ETag,
+                size: obj.Size,
+                lastModified: obj.LastModified ? new Date(obj.LastModified).toISOString() : null,
+                seenAt,
+                results
+              };
+            }
+            if (results.length === 0) {
+              logger.debug(`No issues found in: ${objectKey}`);
+            } else {
+              const patternCount = results.reduce((sum, result) => sum + result.matches.length, 0);
+              logger.debug(`Issues found in: ${objectKey} - ${patternCount} patterns matched`);
+            }
+          }
+
+          // Results reused from before regions were recorded get the bucket's region too. Version
+          // details always come from this listing ("null" is the version of unversioned objects).
+          const versioned = obj.VersionId && obj.VersionId !== 'null';
+          results.forEach(result => {
+            result.region = region;
+            Object.assign(result, {
+              versionId: versioned ? obj.VersionId : undefined,
+              noncurrent: obj.noncurrent || undefined,
+              noncurrentSince: obj.noncurrentSince ? new Date(obj.noncurrentSince).toISOString() : undefined,
+              deletedAt: obj.deletedAt ? new Date(obj.deletedAt).toISOString() : undefined
+            });
+          });
+
+          scannedObjects++;
+          this.progress.scannedObjects = scannedObjects;
+          // Log progress every 50 objects
+          if (scannedObjects % 50 === 0) {
+            logger.info(`Scanned ${scannedObjects}/${totalObjects} objects...`);
           }
-          return result;
+          return results;
         });
-        
-        const batchResults = await Promise.all(batchPromises);
-        const validResults = batchResults.filter(result => result !== null);
-        allFindings.push(...validResults);
-        
-        scannedObjects += batch.length;
-        
-        // Log progress
-        if (scannedObjects % 50 === 0) {
-          logger.info(`Scanned ${scannedObjects}/${totalObjects} objects...`);
+        allFindings.push(...bucketResults.flat());
+        if (index) {
+          await this.saveScanIndex(indexShard, index);
         }
       }
+
+      if (signature) {
+        try {
+          await this.indexStore.prune(this.indexMaxAgeDays * 24 * 60 * 60 * 1000);
+        } catch (error) {
+          logger.warn(`Failed to prune scan index: ${error.message}`);
+        }
       }
-      
+      redaction.retainRevealable(new Set(this.resultFingerprints(allFindings)));
+      try {
+        secretsService.recordSightings(allFindings, seenAt);
+      } catch (error) {
+        logger.warn(`Failed to record secret sightings: ${error.message}`);
+      }
+
       const scanDuration = Date.now() - startTime;
-      logger.info(`Scan completed in ${scanDuration}ms. Scanned ${scannedObjects} objects, found ${allFindings.length} objects with issues.`);
+      logger.info(`Scan completed in ${scanDuration}ms. Scanned ${scannedObjects} objects (${rescannedObjects} fetched, ${reusedObjects} unchanged), found ${allFindings.length} objects with issues.`);
       
       // Generate summary and findings
-      const summary = this.generateSummary(allFindings, scanDuration);
+      const stats = {
+        totalObjects, scannedObjects, truncatedBuckets, posture, outOfScope, regions, ...scopeStats, rescannedObjects, reusedObjects,
+        sample, versions: versionStats
+      };
+      const summary = this.generateSummary(allFindings, scanDuration, stats);
       const findings = this.convertToFindings(allFindings);
       
-      return { summary, findings };
+      return { summary, findings, results: allFindings, stats };
       
     } catch (error) {
       logger.error('Scan failed:', error.message);
       throw new Error(`Scan failed: ${error.message}`);
+    } finally {
+      this.scanPlugins = null;
     }
   }
 
   /**
-   * Generate scan summary with compliance metrics
+   * Objects with detector warnings of one type, and the detectors they name
+   */
+  summarizeDetectorWarnings(findings, type) {
+    return findings
+      .map(finding => ({
+        resource: `${finding.bucket}/${finding.key}`,
+        detectors: (finding.warnings || []).filter(w => w.type === type).map(w => w.detector)
+      }))
+      .filter(entry => entry.detectors.length > 0);
+  }
+
+  /**
+   * Generate scan summary with compliance metrics.
+   * `frameworks` reports pass/fail, a score and per-control results for each compliance framework.
    */
-  generateSummary(findings, scanDuration) {
+  generateSummary(findings, scanDuration, stats = {}) {
     const totalIssues = findings.reduce((sum, finding) => sum + finding.matches.length, 0);
     
+    let criticalCount = 0;
     let highCount = 0;
     let mediumCount = 0;
     let lowCount = 0;
@@ -277,6 +1464,9 @@ class ScannerService {
     findings.forEach(finding => {
       finding.matches.forEach(match => {
         switch (match.severity) {
+          case 'Critical':
+            criticalCount++;
+            break;
           case 'High':
             highCount++;
             break;
@@ -291,13 +1481,14 @@ class ScannerService {
     });
     
     // Calculate compliance score (100 - weighted penalty, minimum 50)
-    const penalty = (highCount * severityWeights.High) + 
+    const penalty = (criticalCount * severityWeights.Critical) +
+                   (highCount * severityWeights.High) + 
                    (mediumCount * severityWeights.Medium) + 
                    (lowCount * severityWeights.Low);
     const complianceScore = Math.max(50, 100 - penalty);
     
     // Calculate estimated savings
-    const estSavings = (highCount * 20) + (mediumCount * 5) + (lowCount * 1);
+    const estSavings = (criticalCount * 50) + (highCount * 20) + (mediumCount * 5) + (lowCount * 1);
     
     // Project status
     const now = new Date();
@@ -305,12 +1496,33 @@ class ScannerService {
     
     return {
       totalIssues,
+      ...secretsService.countSecrets(findings),
+      critical: criticalCount,
       high: highCount,
       medium: mediumCount,
       low: lowCount,
       complianceScore: Math.round(complianceScore * 100) / 100,
       estSavings,
       scanDuration,
+      totalObjects: stats.totalObjects || 0,
+      scannedObjects: stats.scannedObjects || 0,
+      truncatedBuckets: stats.truncatedBuckets || [],
+      source: stats.source || { type: 's3', name: 'AWS S3' },
+      pluginDetectors: stats.pluginDetectors || [],
+      scope: stats.scope || {},
+      scopeProfile: stats.scopeProfile || null,
+      outOfScopeObjects: Object.values(stats.outOfScope || {}).reduce((sum, count) => sum + count, 0),
+      outOfScopeReasons: stats.outOfScope || {},
+      fullScan: stats.fullScan !== false,
+      rescannedObjects: stats.rescannedObjects || 0,
+      reusedObjects: stats.reusedObjects || 0,
+      regions: this.summarizeRegions(findings, stats.regions || {}),
+      versions: stats.versions ? { ...stats.versions, versionOnlyIssues: this.countVersionOnly(findings) } : null,
+      sampled: !!stats.sample,
+      sample: stats.sample ? this.summarizeSample(findings, stats.sample) : null,
+      detectorTimeouts: this.summarizeDetectorWarnings(findings, 'detector_timeout'),
+      detectorErrors: this.summarizeDetectorWarnings(findings, 'detector_error'),
+      frameworks: evaluateFrameworks(findings, stats.posture || {}, { minConfidence: this.complianceMinConfidence }),
       projectStatus: {
         lastScan: now.toISOString(),
         nextScan: nextScan.toISOString(),
@@ -320,65 +1532,184 @@ class ScannerService {
   }
 
   /**
-   * Convert scan results to findings format
+   * Per-region breakdown: buckets and objects listed (from `regionStats`) and issues by severity.
+   * Buckets whose region could not be resolved are reported under "unknown".
+   */
+  summarizeRegions(findings, regionStats) {
+    const regions = {};
+    const regionEntry = (region) => regions[region] || (regions[region] = {
+      region, buckets: 0, objects: 0, totalIssues: 0, critical: 0, high: 0, medium: 0, low: 0
+    });
+
+    Object.keys(regionStats).forEach(region => {
+      Object.assign(regionEntry(region), regionStats[region]);
+    });
+    findings.forEach(finding => {
+      const entry = regionEntry(finding.region || 'unknown');
+      finding.matches.forEach(match => {
+        entry.totalIssues++;
+        const severity = match.severity.toLowerCase();
+        if (entry[severity] !== undefined) {
+          entry[severity]++;
+        }
+      });
+    });
+
+    return Object.values(regions).sort((a, b) => a.region.localeCompare(b.region));
+  }
+
+  /**
+   * Build a check for matches found only in old versions: a match in a noncurrent version
+   * none of whose values (or, without fingerprints, whose detector) occur in the current
+   * version of the same object. Removing those takes purging the versions, not editing the file.
+   */
+  versionOnlyCheck(results) {
+    const current = new Map();
+    results.filter(result => !result.noncurrent).forEach(result => {
+      const path = objectPath(result.bucket, result.objectKey || result.key);
+      const seen = current.get(path) || current.set(path, new Set()).get(path);
+      result.matches.forEach(match => {
+        seen.add(match.pattern);
+        (match.fingerprints || []).forEach(({ fingerprint }) => seen.add(fingerprint));
+      });
+    });
+
+    return (result, match) => {
+      if (!result.noncurrent) {
+        return false;
+      }
+      const seen = current.get(objectPath(result.bucket, result.objectKey || result.key));
+      if (!seen) {
+        return true;
+      }
+      return match.fingerprints && match.fingerprints.length > 0
+        ? !match.fingerprints.some(({ fingerprint }) => seen.has(fingerprint))
+        : !seen.has(match.pattern);
+    };
+  }
+
+  /**
+   * Number of matches found only in noncurrent versions
+   */
+  countVersionOnly(results) {
+    const versionOnly = this.versionOnlyCheck(results);
+    return results.reduce((sum, result) => sum + result.matches.filter(match => versionOnly(result, match)).length, 0);
+  }
+
+  /**
+   * Sampling parameters, the strata (largest first, up to 100 of them) and an estimate of
+   * the share of objects each detector fired in, counting each object once per detector
+   */
+  summarizeSample(findings, sample) {
+    const { strata, objectStrata, ...parameters } = sample;
+    const hits = {};
+    const counted = new Set();
+
+    findings.forEach(finding => {
+      const objectKey = objectPath(finding.bucket, finding.objectKey || finding.key, finding.noncurrent && finding.versionId);
+      const stratum = objectStrata[objectKey];
+      if (stratum === undefined) {
+        return;
+      }
+      finding.matches.forEach(match => {
+        if (counted.has(`${match.pattern}|${objectKey}`)) {
+          return;
+        }
+        counted.add(`${match.pattern}|${objectKey}`);
+        const entry = hits[match.pattern] || (hits[match.pattern] = { label: match.label, strata: new Map() });
+        entry.strata.set(stratum, (entry.strata.get(stratum) || 0) + 1);
+      });
+    });
+
+    return {
+      ...parameters,
+      strataCount: strata.length,
+      strata: strata.slice(0, 100),
+      ...estimatePrevalence(strata, hits, sample.confidence)
+    };
+  }
+
+  /**
+   * Convert scan results to findings format: one finding per object and detected pattern,
+   * carrying every recorded occurrence with its position and masked snippet. Findings in
+   * noncurrent versions carry the VersionId; those not in the current version as well are
+   * flagged `needsVersionPurge`.
    */
   convertToFindings(scanResults) {
+    const fallbackRecommendations = {
+      Critical: 'Immediate action required: rotate the exposed credentials',
+      High: 'Immediate action required',
+      Medium: 'Review and address soon',
+      Low: 'Monitor and review'
+    };
+    const versionOnly = this.versionOnlyCheck(scanResults);
+
     return scanResults.map(result => {
       const resource = `${result.bucket}/${result.key}`;
-      
-      // Group matches by severity
-      const highIssues = result.matches.filter(m => m.severity === 'High');
-      const mediumIssues = result.matches.filter(m => m.severity === 'Medium');
-      const lowIssues = result.matches.filter(m => m.severity === 'Low');
-      
-      const findings = [];
-      
-      // Add findings for each severity level
-      if (highIssues.length > 0) {
-        findings.push({
-          resource,
-          type: 'High Risk',
-          severity: 'High',
-          recommendation: 'Immediate action required',
-          details: {
-            rule: highIssues[0].label,
-            count: highIssues.length,
-            samples: highIssues.slice(0, 2).map(m => m.samples).flat()
-          }
-        });
-      }
-      
-      if (mediumIssues.length > 0) {
-        findings.push({
-          resource,
-          type: 'Medium Risk',
-          severity: 'Medium',
-          recommendation: 'Review and address soon',
-          details: {
-            rule: mediumIssues[0].label,
-            count: mediumIssues.length,
-            samples: mediumIssues.slice(0, 2).map(m => m.samples).flat()
-          }
-        });
-      }
-      
-      if (lowIssues.length > 0) {
-        findings.push({
+
+      return result.matches.map(match => {
+        const first = match.occurrences && match.occurrences[0];
+        const needsVersionPurge = versionOnly(result, match);
+        return {
+          id: this.findingId(result, match),
           resource,
-          type: 'Low Risk',
-          severity: 'Low',
-          recommendation: 'Monitor and review',
+          region: result.region || null,
+          ...(result.versionId && { versionId: result.versionId, noncurrent: !!result.noncurrent }),
+          ...(result.noncurrent && { needsVersionPurge }),
+          type: `${match.severity} Risk`,
+          severity: match.severity,
+          confidence: match.confidence,
+          pattern: match.pattern,
+          ...(first && { location: this.formatOccurrence(first) }),
+          recommendation: needsVersionPurge
+            ? `Only found in noncurrent version ${result.versionId}${result.deletedAt ? ' of a deleted object' : ''}: ` +
+              'delete that version (s3:DeleteObjectVersion) or expire noncurrent versions with a lifecycle rule. ' +
+              'Editing the current object will not remove it.'
+            : match.recommendation || fallbackRecommendations[match.severity],
           details: {
-            rule: lowIssues[0].label,
-            count: lowIssues.length,
-            samples: lowIssues.slice(0, 2).map(m => m.samples).flat()
+            rule: match.label,
+            count: match.count,
+            fingerprints: match.fingerprints || [],
+            samples: match.samples,
+            occurrences: match.occurrences || [],
+            locations: match.locations || [],
+            ...(match.validation && { validation: match.validation }),
+            ...(match.detectedBy && { detectedBy: match.detectedBy }),
+            bytesScanned: result.bytesScanned,
+            objectSize: result.size,
+            truncated: result.truncated,
+            ...(result.encoding && { encoding: result.encoding }),
+            ...(result.noncurrentSince && { noncurrentSince: result.noncurrentSince }),
+            ...(result.deletedAt && { deletedAt: result.deletedAt }),
+            ...(result.warnings && { warnings: result.warnings })
           }
-        });
-      }
-      
-      return findings;
+        };
+      });
     }).flat();
   }
+
+  /**
+   * Stable id of the finding for one object, pattern, severity and detection method,
+   * e.g. f_9c1e0b... (used to suppress a specific finding across scans). Noncurrent versions
+   * get ids of their own; the current version keeps its id when the object is overwritten.
+   */
+  findingId(result, match) {
+    const method = match.detectedBy ? `|${match.detectedBy}` : '';
+    const path = objectPath(result.bucket, result.key, result.noncurrent && result.versionId);
+    const hash = crypto.createHash('sha256').update(`${path}|${match.pattern}|${match.severity}${method}`);
+    return `f_${hash.digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * Describe where an occurrence is, e.g. "page 2, line 4, column 17" or "line 12, column 5 (byte 310)"
+   */
+  formatOccurrence(occurrence) {
+    const parts = [];
+    if (occurrence.location) parts.push(occurrence.location);
+    if (occurrence.line) parts.push(`line ${occurrence.line}, column ${occurrence.column}`);
+    const text = parts.join(', ');
+    return occurrence.offset !== null && occurrence.offset !== undefined ? `${text} (byte ${occurrence.offset})` : text;
+  }
 }
 
 module.exports = new ScannerService();
@@ -0,0 +1,174 @@
+/**
+ * Scope Profiles Service
+ * Named, saved scan scopes so a targeted scan can be rerun with `{ "profile": "name" }`.
+ * Profiles are persisted in the `scopes` JSON store.
+ */
+
+const { normalizeScope } = require('../utils/scope');
+const { createStore } = require('../utils/store');
+const { createOperationalError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const nameRegex = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const profileFields = ['name', 'description', 'scope'];
+
+const validationError = (errors) => {
+  const error = createOperationalError(`Invalid scope profile: ${errors.join('; ')}`, 400);
+  error.details = errors;
+  return error;
+};
+
+class ScopeProfilesService {
+  constructor() {
+    this.store = createStore('scopes', { profiles: [] });
+  }
+
+  /**
+   * List saved profiles by name
+   */
+  listProfiles() {
+    return this.store.load().profiles.slice().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get one profile by name; throws a 404 error when it does not exist
+   */
+  getProfile(name) {
+    const profile = this.store.load().profiles.find(p => p.name === name);
+    if (!profile) {
+      throw createOperationalError(`Scope profile "${name}" not found`, 404);
+    }
+    return profile;
+  }
+
+  /**
+   * Validate a profile; returns { profile, errors } with the scope normalised
+   */
+  validateProfile(input) {
+    const errors = [];
+
+    Object.keys(input).forEach(field => {
+      if (!profileFields.includes(field)) {
+        errors.push(`unknown field "${field}"`);
+      }
+    });
+    if (typeof input.name !== 'string' || !nameRegex.test(input.name)) {
+      errors.push('name must be 1-64 lowercase letters, digits, dashes or underscores');
+    }
+    if (input.description !== undefined && typeof input.description !== 'string') {
+      errors.push('description must be a string');
+    }
+    if (!input.scope || typeof input.scope !== 'object') {
+      errors.push('scope is required');
+    }
+
+    const { scope, errors: scopeErrors } = normalizeScope(input.scope);
+    errors.push(...scopeErrors);
+
+    return {
+      profile: { name: input.name, description: input.description || '', scope },
+      errors
+    };
+  }
+
+  /**
+   * Save a new profile
+   */
+  createProfile(input, user) {
+    const { profile, errors } = this.validateProfile(input || {});
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    const saved = this.store.load();
+    if (saved.profiles.some(p => p.name === profile.name)) {
+      throw createOperationalError(`Scope profile "${profile.name}" already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const stored = { ...profile, createdBy: user, createdAt: now, updatedAt: now };
+    saved.profiles.push(stored);
+    this.store.save(saved);
+    logger.info(`Created scope profile "${stored.name}"`);
+    return stored;
+  }
+
+  /**
+   * Replace a profile's description and/or scope
+   */
+  updateProfile(name, changes, user) {
+    const updates = changes || {};
+    const saved = this.store.load();
+    const index = saved.profiles.findIndex(p => p.name === name);
+    if (index === -1) {
+      throw createOperationalError(`Scope profile "${name}" not found`, 404);
+    }
+    if (updates.name !== undefined && updates.name !== name) {
+      throw validationError(['name cannot be changed']);
+    }
+
+    const existing = saved.profiles[index];
+    const { profile, errors } = this.validateProfile({
+      description: existing.description,
+      scope: existing.scope,
+      ...updates,
+      name
+    });
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    saved.profiles[index] = {
+      ...existing,
+      ...profile,
+      updatedBy: user,
+      updatedAt: new Date().toISOString()
+    };
+    this.store.save(saved);
+    logger.info(`Updated scope profile "${name}"`);
+    return saved.profiles[index];
+  }
+
+  /**
+   * Delete a profile
+   */
+  deleteProfile(name) {
+    const saved = this.store.load();
+    const profile = saved.profiles.find(p => p.name === name);
+    if (!profile) {
+      throw createOperationalError(`Scope profile "${name}" not found`, 404);
+    }
+
+    saved.profiles = saved.profiles.filter(p => p.name !== name);
+    this.store.save(saved);
+    logger.info(`Deleted scope profile "${name}"`);
+    return profile;
+  }
+
+  /**
+   * Resolve the scope of a scan request: a saved profile, an inline scope, or a profile
+   * with inline fields overriding it. Throws a 404 for an unknown profile and a 400 for an
+   * invalid scope.
+   */
+  resolveScope({ profile, scope } = {}) {
+    let base = {};
+    if (profile !== undefined && profile !== null) {
+      if (typeof profile !== 'string') {
+        throw validationError(['profile must be the name of a saved scope profile']);
+      }
+      base = this.getProfile(profile).scope;
+    }
+
+    if (scope !== undefined && scope !== null && (typeof scope !== 'object' || Array.isArray(scope))) {
+      throw validationError(['scope must be an object']);
+    }
+
+    const { scope: resolved, errors } = normalizeScope({ ...base, ...(scope || {}) });
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+    return resolved;
+  }
+}
+
+module.exports = new ScopeProfilesService();
@@ -0,0 +1,142 @@
+/**
+ * Secrets Service
+ * Groups detected values across objects and buckets into unique secret records, keyed by
+ * the value's fingerprint (a keyed hash, see utils/redaction.js), so an access key copied
+ * into 40 files is one secret with 40 locations. When each secret was first and last seen
+ * by a scan is kept in DATA_DIR/secrets.json.
+ */
+
+const { severityWeights } = require('../utils/patterns');
+const { createStore } = require('../utils/store');
+const { objectPath } = require('../utils/versions');
+const logger = require('../utils/logger');
+
+class SecretsService {
+  constructor() {
+    this.store = createStore('secrets', { secrets: {} });
+
+    // Secrets not seen by any scan for this many days are forgotten
+    this.historyDays = parseInt(process.env.SECRETS_HISTORY_DAYS, 10) || 90;
+  }
+
+  /**
+   * Group scan results by fingerprint. Each record lists the detectors that matched the
+   * value, its highest severity, total occurrences, and every object it was found in with
+   * the count there and the position of the first kept occurrence. A value matched by
+   * several detectors in one object is listed per detector but its occurrences count once.
+   */
+  groupResults(results) {
+    const records = new Map();
+
+    results.forEach(result => {
+      const objectKey = objectPath(result.bucket, result.objectKey || result.key, result.noncurrent && result.versionId);
+      result.matches.forEach(match => {
+        (match.fingerprints || []).forEach(({ fingerprint, count }) => {
+          let record = records.get(fingerprint);
+          if (!record) {
+            record = {
+              fingerprint,
+              label: match.label,
+              detectors: [],
+              severity: match.severity,
+              objects: new Map(),
+              buckets: new Set(),
+              locations: []
+            };
+            records.set(fingerprint, record);
+          }
+
+          if (!record.detectors.includes(match.pattern)) {
+            record.detectors.push(match.pattern);
+          }
+          if ((severityWeights[match.severity] || 0) > (severityWeights[record.severity] || 0)) {
+            record.severity = match.severity;
+          }
+          record.objects.set(objectKey, Math.max(record.objects.get(objectKey) || 0, count));
+          record.buckets.add(result.bucket);
+
+          const first = (match.occurrences || []).find(o => o.fingerprint === fingerprint);
+          record.locations.push({
+            resource: `${result.bucket}/${result.key}`,
+            bucket: result.bucket,
+            key: result.key,
+            region: result.region || null,
+            ...(result.versionId && { versionId: result.versionId, noncurrent: !!result.noncurrent }),
+            pattern: match.pattern,
+            count,
+            ...(first && { line: first.line, column: first.column, offset: first.offset }),
+            ...(first && first.location && { location: first.location })
+          });
+        });
+      });
+    });
+
+    return [...records.values()].map(({ objects, buckets, ...record }) => ({
+      ...record,
+      occurrences: [...objects.values()].reduce((sum, count) => sum + count, 0),
+      objectCount: objects.size,
+      bucketCount: buckets.size
+    }));
+  }
+
+  /**
+   * Unique secrets and total occurrences in scan results, for the scan summary
+   */
+  countSecrets(results) {
+    const records = this.groupResults(results);
+    return {
+      uniqueSecrets: records.length,
+      duplicatedSecrets: records.filter(record => record.objectCount > 1).length,
+      totalOccurrences: results.reduce((sum, result) => sum + result.matches.reduce((total, match) => total + match.count, 0), 0)
+    };
+  }
+
+  /**
+   * Unique secret records with first-seen and last-seen dates, most widespread first.
+   * `minObjects` keeps only secrets found in at least that many objects.
+   */
+  listSecrets(results, { minObjects = 1 } = {}) {
+    const history = this.store.load().secrets;
+    return this.groupResults(results)
+      .filter(record => record.objectCount >= minObjects)
+      .map(record => ({
+        ...record,
+        firstSeen: history[record.fingerprint] ? history[record.fingerprint].firstSeen : null,
+        lastSeen: history[record.fingerprint] ? history[record.fingerprint].lastSeen : null
+      }))
+      .sort((a, b) => b.objectCount - a.objectCount || b.occurrences - a.occurrences);
+  }
+
+  /**
+   * Record that a scan at `seenAt` found every fingerprint in `results`, and forget
+   * secrets not seen for `historyDays`
+   */
+  recordSightings(results, seenAt) {
+    const data = this.store.load();
+    const cutoff = new Date(seenAt).getTime() - this.historyDays * 24 * 60 * 60 * 1000;
+
+    results.forEach(result => {
+      result.matches.forEach(match => {
+        (match.fingerprints || []).forEach(({ fingerprint }) => {
+          const entry = data.secrets[fingerprint] || (data.secrets[fingerprint] = { firstSeen: seenAt });
+          entry.lastSeen = seenAt;
+        });
+      });
+    });
+
+    let forgotten = 0;
+    Object.keys(data.secrets).forEach(fingerprint => {
+      if (new Date(data.secrets[fingerprint].lastSeen).getTime() < cutoff) {
+        delete data.secrets[fingerprint];
+        forgotten++;
+      }
+    });
+    if (forgotten > 0) {
+      logger.debug(`Forgot ${forgotten} secrets not seen for ${this.historyDays} days`);
+    }
+
+    this.store.save(data);
+  }
+}
+
+module.exports = new SecretsService();
@@ -0,0 +1,264 @@
+/**
+ * Suppressions Service
+ * Risk acceptances for known findings (test fixtures, accepted risks). A suppression
+ * matches findings by bucket/key glob, detector key, value fingerprint and/or finding id,
+ * and carries a mandatory justification, owner and expiry. Suppressions are applied when
+ * results are read, so findings become active again as soon as their suppression expires.
+ */
+
+const crypto = require('crypto');
+const { matchGlob, checkGlob } = require('../utils/glob');
+const { createStore } = require('../utils/store');
+const { createOperationalError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const matcherFields = ['bucket', 'key', 'pattern', 'fingerprint', 'findingId'];
+const suppressionFields = [...matcherFields, 'justification', 'owner', 'expiresAt'];
+
+const validationError = (errors) => {
+  const error = createOperationalError(`Invalid suppression: ${errors.join('; ')}`, 400);
+  error.details = errors;
+  return error;
+};
+
+const isExpired = (suppression, now) => new Date(suppression.expiresAt).getTime() <= now.getTime();
+
+class SuppressionsService {
+  constructor() {
+    this.store = createStore('suppressions', { suppressions: [] });
+  }
+
+  /**
+   * Suppression in API form, flagged when it has expired
+   */
+  describe(suppression, now = new Date()) {
+    return { ...suppression, expired: isExpired(suppression, now) };
+  }
+
+  /**
+   * List every suppression, soonest expiry first
+   */
+  listSuppressions() {
+    const now = new Date();
+    return this.store.load().suppressions
+      .slice()
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))
+      .map(suppression => this.describe(suppression, now));
+  }
+
+  /**
+   * Get one suppression by id; throws a 404 error when it does not exist
+   */
+  getSuppression(id) {
+    const suppression = this.store.load().suppressions.find(s => s.id === id);
+    if (!suppression) {
+      throw createOperationalError(`Suppression "${id}" not found`, 404);
+    }
+    return this.describe(suppression);
+  }
+
+  /**
+   * Validate a full suppression; returns a list of problems (empty when valid)
+   */
+  validateSuppression(suppression) {
+    const errors = [];
+
+    Object.keys(suppression).forEach(field => {
+      if (!suppressionFields.includes(field)) {
+        errors.push(`unknown field "${field}"`);
+      }
+    });
+
+    const matchers = matcherFields.filter(field => suppression[field] !== undefined && suppression[field] !== null);
+    if (matchers.length === 0) {
+      errors.push(`at least one of ${matcherFields.join(', ')} is required`);
+    }
+    matchers.forEach(field => {
+      if (typeof suppression[field] !== 'string' || !suppression[field].trim()) {
+        errors.push(`${field} must be a non-empty string`);
+      }
+    });
+    // Globs are matched against every finding on each read, so their size is bounded
+    ['bucket', 'key'].forEach(field => {
+      const problem = typeof suppression[field] === 'string' ? checkGlob(suppression[field]) : null;
+      if (problem) {
+        errors.push(`${field} glob ${problem}`);
+      }
+    });
+    if (typeof suppression.fingerprint === 'string' && !/^fp_[0-9a-f]{16}$/.test(suppression.fingerprint)) {
+      errors.push('fingerprint must look like fp_ followed by 16 hex characters');
+    }
+    if (typeof suppression.findingId === 'string' && !/^f_[0-9a-f]{16}$/.test(suppression.findingId)) {
+      errors.push('findingId must look like f_ followed by 16 hex characters');
+    }
+
+    ['justification', 'owner'].forEach(field => {
+      if (typeof suppression[field] !== 'string' || !suppression[field].trim()) {
+        errors.push(`${field} is required`);
+      }
+    });
+
+    const expiresAt = new Date(suppression.expiresAt);
+    if (typeof suppression.expiresAt !== 'string' || Number.isNaN(expiresAt.getTime())) {
+      errors.push('expiresAt must be an ISO 8601 date');
+    } else if (expiresAt.getTime() <= Date.now()) {
+      errors.push('expiresAt must be in the future');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Normalise a validated suppression into the stored shape
+   */
+  toStoredSuppression(input, existing, user) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: existing ? existing.id : `sup_${crypto.randomBytes(6).toString('hex')}`
+    };
+    matcherFields.forEach(field => {
+      if (input[field] !== undefined && input[field] !== null) {
+        stored[field] = input[field].trim();
+      }
+    });
+    return {
+      ...stored,
+      justification: input.justification.trim(),
+      owner: input.owner.trim(),
+      expiresAt: new Date(input.expiresAt).toISOString(),
+      createdBy: existing ? existing.createdBy : user,
+      createdAt: existing ? existing.createdAt : now,
+      updatedBy: user,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Create a suppression
+   */
+  createSuppression(input, user) {
+    const suppression = input || {};
+    const errors = this.validateSuppression(suppression);
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    const saved = this.store.load();
+    const stored = this.toStoredSuppression(suppression, null, user);
+    saved.suppressions.push(stored);
+    this.store.save(saved);
+    logger.info(`Created suppression ${stored.id} owned by ${stored.owner}, expiring ${stored.expiresAt}`);
+    return this.describe(stored);
+  }
+
+  /**
+   * Update a suppression. Fields that are left out keep their value; set a matcher to
+   * null to remove it.
+   */
+  updateSuppression(id, changes, user) {
+    const updates = changes || {};
+    const saved = this.store.load();
+    const index = saved.suppressions.findIndex(s => s.id === id);
+    if (index === -1) {
+      throw createOperationalError(`Suppression "${id}" not found`, 404);
+    }
+
+    const existing = saved.suppressions[index];
+    const merged = {};
+    suppressionFields.forEach(field => {
+      const value = updates[field] !== undefined ? updates[field] : existing[field];
+      if (value !== undefined && value !== null) {
+        merged[field] = value;
+      }
+    });
+    Object.keys(updates).forEach(field => {
+      if (!suppressionFields.includes(field) && field !== 'id') {
+        merged[field] = updates[field];
+      }
+    });
+
+    const errors = this.validateSuppression(merged);
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    saved.suppressions[index] = this.toStoredSuppression(merged, existing, user);
+    this.store.save(saved);
+    logger.info(`Updated suppression ${id}`);
+    return this.describe(saved.suppressions[index]);
+  }
+
+  /**
+   * Delete a suppression; its findings become active again
+   */
+  deleteSuppression(id) {
+    const saved = this.store.load();
+    const suppression = saved.suppressions.find(s => s.id === id);
+    if (!suppression) {
+      throw createOperationalError(`Suppression "${id}" not found`, 404);
+    }
+
+    saved.suppressions = saved.suppressions.filter(s => s.id !== id);
+    this.store.save(saved);
+    logger.info(`Deleted suppression ${id}`);
+    return this.describe(suppression);
+  }
+
+  /**
+   * Whether a suppression's bucket, key, pattern and finding id criteria fit a finding
+   */
+  appliesTo(suppression, finding) {
+    const separator = finding.resource.indexOf('/');
+    const bucket = finding.resource.slice(0, separator);
+    const key = finding.resource.slice(separator + 1);
+
+    return (!suppression.bucket || matchGlob(suppression.bucket, bucket)) &&
+      (!suppression.key || matchGlob(suppression.key, key)) &&
+      (!suppression.pattern || suppression.pattern === finding.pattern) &&
+      (!suppression.findingId || suppression.findingId === finding.id);
+  }
+
+  /**
+   * Find the unexpired suppressions covering each finding. A finding is suppressed when a
+   * suppression without a fingerprint applies to it, or when fingerprint suppressions
+   * cover every one of its matches; a finding with matches beyond the recorded occurrences
+   * cannot be fully covered by fingerprints. Returns a Map of finding id to the
+   * suppressions used, soonest expiry first.
+   */
+  matchFindings(findings, now = new Date()) {
+    const active = this.store.load().suppressions.filter(s => !isExpired(s, now));
+    const suppressed = new Map();
+    if (active.length === 0) {
+      return suppressed;
+    }
+
+    findings.forEach(finding => {
+      const applicable = active.filter(s => this.appliesTo(s, finding));
+      if (applicable.length === 0) {
+        return;
+      }
+
+      const whole = applicable.filter(s => !s.fingerprint);
+      let used = whole;
+      if (whole.length === 0) {
+        const occurrences = (finding.details && finding.details.occurrences) || [];
+        const count = (finding.details && finding.details.count) || occurrences.length;
+        const covered = occurrences.length > 0 && occurrences.length >= count &&
+          occurrences.every(o => applicable.some(s => s.fingerprint === o.fingerprint));
+        if (!covered) {
+          return;
+        }
+        used = applicable.filter(s => occurrences.some(o => o.fingerprint === s.fingerprint));
+      }
+
+      suppressed.set(finding.id, used
+        .slice()
+        .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))
+        .map(s => ({ id: s.id, justification: s.justification, owner: s.owner, expiresAt: s.expiresAt })));
+    });
+
+    return suppressed;
+  }
+}
+
+module.exports = new SuppressionsService();
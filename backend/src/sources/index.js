@@ -0,0 +1,101 @@
+/**
+ * Storage Sources
+ * A scan reads buckets and objects through a source adapter, so the same detectors and
+ * reports run against AWS S3, S3-compatible storage and local directories.
+ *
+ * Every adapter has a `type`, a display `name`, and:
+ * - listBuckets() -> [{ Name, CreationDate }]
+ * - bucketRegion(bucket) -> region reported for the bucket, or null when unknown
+ * - listObjects(bucket, { prefix, marker, maxKeys, versions }) -> { objects, next }: one page
+ *   of objects (Key, Size, ETag, LastModified, StorageClass) in key order, and the marker of
+ *   the next page. With `versions` (S3 sources only) the page holds version entries (see
+ *   utils/versions.js).
+ * - readObject(bucket, key, { versionId, maxBytes }) -> { body, objectSize, contentType }: a
+ *   stream of at most `maxBytes`, or null when the object has no content
+ * - getObjectMetadata(bucket, key, { versionId }) -> the listing fields plus ContentType
+ * - checkPosture(bucket) (optional) -> bucket posture checks for the compliance frameworks
+ * Failures are thrown.
+ */
+
+const { createS3Source, createS3CompatibleSource } = require('./s3');
+const { createLocalSource } = require('./local');
+
+const sourceTypes = ['s3', 's3-compatible', 'local'];
+
+// Sources that can list and read noncurrent object versions
+const versionedSourceTypes = ['s3', 's3-compatible'];
+
+/**
+ * Server-side settings of the sources that need them; endpoints, credentials and
+ * directories never come from a request
+ */
+const sourceSettings = () => ({
+  's3-compatible': process.env.SOURCE_S3_COMPATIBLE_ENDPOINT
+    ? {
+      endpoint: process.env.SOURCE_S3_COMPATIBLE_ENDPOINT,
+      region: process.env.SOURCE_S3_COMPATIBLE_REGION || 'us-east-1',
+      forcePathStyle: process.env.SOURCE_S3_COMPATIBLE_FORCE_PATH_STYLE !== 'false',
+      accessKeyId: process.env.SOURCE_S3_COMPATIBLE_ACCESS_KEY_ID,
+      secretAccessKey: process.env.SOURCE_S3_COMPATIBLE_SECRET_ACCESS_KEY
+    }
+    : null,
+  local: process.env.SOURCE_LOCAL_ROOT ? { root: process.env.SOURCE_LOCAL_ROOT } : null
+});
+
+/**
+ * Sources a scan can use: AWS S3 always, the others once configured
+ */
+const availableSources = () => {
+  const settings = sourceSettings();
+  return sourceTypes.filter(type => type === 's3' || settings[type]);
+};
+
+/**
+ * Validate the source requested for a scan; returns { source, errors } with `source`
+ * defaulting to "s3". `versions` is set when the scan also wants noncurrent versions.
+ */
+const normalizeSource = (input, { versions = false } = {}) => {
+  const source = input === undefined || input === null ? 's3' : input;
+  if (!sourceTypes.includes(source)) {
+    return { source: null, errors: [`source must be one of ${sourceTypes.join(', ')}`] };
+  }
+  if (!availableSources().includes(source)) {
+    return { source: null, errors: [`source "${source}" is not configured on this server`] };
+  }
+  if (versions && !versionedSourceTypes.includes(source)) {
+    return { source: null, errors: [`the ${source} source has no object versions`] };
+  }
+  return { source, errors: [] };
+};
+
+/**
+ * Create the adapter for a source type. AWS S3 reads through `s3ClientFor(region)`, which
+ * builds a client from the user's session credentials; `defaultRegion` is its home region.
+ */
+const createSource = (type, { s3ClientFor, defaultRegion } = {}) => {
+  const settings = sourceSettings();
+  switch (type) {
+    case 's3':
+      return createS3Source({ clientFor: s3ClientFor, defaultRegion });
+    case 's3-compatible':
+      if (!settings[type]) {
+        throw new Error('S3-compatible source is not configured (SOURCE_S3_COMPATIBLE_ENDPOINT)');
+      }
+      return createS3CompatibleSource(settings[type]);
+    case 'local':
+      if (!settings[type]) {
+        throw new Error('Local source is not configured (SOURCE_LOCAL_ROOT)');
+      }
+      return createLocalSource(settings[type]);
+    default:
+      throw new Error(`Unknown source type: ${type}`);
+  }
+};
+
+module.exports = {
+  sourceTypes,
+  versionedSourceTypes,
+  availableSources,
+  normalizeSource,
+  createSource
+};
@@ -0,0 +1,139 @@
+/**
+ * Local Directory Source
+ * Source adapter over a directory on the server: each subdirectory of the root is a bucket
+ * and the files below it are its objects, keyed by their path relative to that
+ * subdirectory with "/" separators. Symbolic links and other special files are ignored, so
+ * a scan never leaves the root. See sources/index.js for the adapter interface.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Whether a listing that resumes after `marker` and only wants keys under `prefix` can
+ * contain any key in the directory whose keys start with `dirKey` (ending in "/")
+ */
+const directoryWanted = (dirKey, prefix, marker) => {
+  if (prefix && !dirKey.startsWith(prefix) && !prefix.startsWith(dirKey)) {
+    return false;
+  }
+  // Past the marker unless the marker sorts before the directory or lies inside it
+  return !marker || marker < dirKey || marker.startsWith(dirKey);
+};
+
+/**
+ * Create an adapter over the bucket directories in `root`
+ */
+const createLocalSource = ({ root }) => {
+  const rootPath = path.resolve(root);
+
+  const bucketPath = (bucket) => {
+    const resolved = path.resolve(rootPath, bucket);
+    if (path.dirname(resolved) !== rootPath) {
+      throw new Error(`Invalid bucket name: ${bucket}`);
+    }
+    return resolved;
+  };
+
+  const filePath = (bucket, key) => {
+    const base = bucketPath(bucket);
+    const resolved = path.resolve(base, ...key.split('/'));
+    if (!resolved.startsWith(`${base}${path.sep}`)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return resolved;
+  };
+
+  const describe = (key, stat) => ({
+    Key: key,
+    Size: stat.size,
+    // Size and modification time stand in for an ETag, so incremental scans can reuse results
+    ETag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+    LastModified: stat.mtime,
+    StorageClass: 'STANDARD'
+  });
+
+  /**
+   * Walk a bucket in key order, yielding keys after `marker` under `prefix`. Entries are
+   * sorted with a "/" after directory names so the walk matches S3's flat key order
+   * ("a.txt" before "a/b.txt").
+   */
+  async function* walkKeys(dir, dirKey, prefix, marker) {
+    const entries = (await fs.promises.readdir(dir, { withFileTypes: true }))
+      .filter(entry => entry.isFile() || entry.isDirectory())
+      .map(entry => ({ entry, key: `${dirKey}${entry.name}${entry.isDirectory() ? '/' : ''}` }))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    for (const { entry, key } of entries) {
+      if (entry.isDirectory()) {
+        if (directoryWanted(key, prefix, marker)) {
+          yield* walkKeys(path.join(dir, entry.name), key, prefix, marker);
+        }
+      } else if ((!prefix || key.startsWith(prefix)) && (!marker || key > marker)) {
+        yield key;
+      }
+    }
+  }
+
+  return {
+    type: 'local',
+    // The directory's own name; its full path on the server stays out of scan summaries
+    name: path.basename(rootPath),
+
+    async listBuckets() {
+      const entries = await fs.promises.readdir(rootPath, { withFileTypes: true });
+      const buckets = [];
+      for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        const stat = await fs.promises.stat(path.join(rootPath, entry.name));
+        buckets.push({ Name: entry.name, CreationDate: stat.birthtime });
+      }
+      return buckets;
+    },
+
+    async bucketRegion() {
+      return 'local';
+    },
+
+    async listObjects(bucket, { prefix, marker, maxKeys = 1000 } = {}) {
+      const base = bucketPath(bucket);
+      const objects = [];
+      let more = false;
+
+      for await (const key of walkKeys(base, '', prefix, marker)) {
+        if (objects.length >= maxKeys) {
+          more = true;
+          break;
+        }
+        try {
+          objects.push(describe(key, await fs.promises.stat(filePath(bucket, key))));
+        } catch (error) {
+          // Removed since the directory was read
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+
+      return { objects, next: more ? objects[objects.length - 1].Key : undefined };
+    },
+
+    async readObject(bucket, key, { maxBytes } = {}) {
+      const file = filePath(bucket, key);
+      const stat = await fs.promises.stat(file);
+      if (!stat.isFile()) {
+        return null;
+      }
+      return {
+        body: fs.createReadStream(file, maxBytes ? { end: maxBytes - 1 } : {}),
+        objectSize: stat.size,
+        contentType: null
+      };
+    },
+
+    async getObjectMetadata(bucket, key) {
+      return { ...describe(key, await fs.promises.stat(filePath(bucket, key))), ContentType: null };
+    }
+  };
+};
+
+module.exports = { createLocalSource };
@@ -0,0 +1,213 @@
+/**
+ * S3 Sources
+ * Source adapters for AWS S3 and for S3-compatible storage (MinIO, Ceph RGW, ...) reached
+ * through a custom endpoint. See sources/index.js for the adapter interface.
+ */
+
+const {
+  S3Client,
+  ListBucketsCommand,
+  ListObjectsV2Command,
+  ListObjectVersionsCommand,
+  GetBucketLocationCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  GetBucketEncryptionCommand,
+  GetPublicAccessBlockCommand,
+  GetBucketLoggingCommand
+} = require('@aws-sdk/client-s3');
+const { versionPageEntries } = require('../utils/versions');
+const logger = require('../utils/logger');
+
+/**
+ * Create an adapter over S3 clients. `clientFor(region)` returns a client for a region
+ * (called once per region); `defaultRegion` is used for ListBuckets and for buckets whose
+ * region is unknown. With `resolveRegions` each bucket's region is read with
+ * GetBucketLocation and the bucket is read through a client for that region; without it
+ * every bucket is reported in `defaultRegion`.
+ */
+const createS3Source = ({ type = 's3', name = 'AWS S3', clientFor, defaultRegion, resolveRegions = true }) => {
+  const clients = new Map();
+  const bucketRegions = new Map();
+
+  const client = (region) => {
+    const key = region || defaultRegion;
+    if (!clients.has(key)) {
+      logger.debug(`Creating S3 client for region ${key}`);
+      clients.set(key, clientFor(key));
+    }
+    return clients.get(key);
+  };
+  const bucketClient = (bucket) => client(bucketRegions.get(bucket));
+
+  return {
+    type,
+    name,
+
+    async listBuckets() {
+      const response = await client(defaultRegion).send(new ListBucketsCommand({}));
+      return (response.Buckets || []).map(bucket => ({ Name: bucket.Name, CreationDate: bucket.CreationDate }));
+    },
+
+    /**
+     * Resolve the region a bucket lives in with GetBucketLocation.
+     * An empty LocationConstraint means us-east-1 and the legacy "EU" means eu-west-1.
+     * Returns null when the location cannot be read.
+     */
+    async bucketRegion(bucket) {
+      if (!resolveRegions) {
+        return defaultRegion;
+      }
+      if (bucketRegions.has(bucket)) {
+        return bucketRegions.get(bucket);
+      }
+
+      let region = null;
+      try {
+        const response = await client(defaultRegion).send(new GetBucketLocationCommand({ Bucket: bucket }));
+        const constraint = response.LocationConstraint;
+        region = !constraint ? 'us-east-1' : (constraint === 'EU' ? 'eu-west-1' : constraint);
+      } catch (error) {
+        logger.warn(`Could not resolve the region of bucket ${bucket}: ${error.message}; using ${defaultRegion}`);
+      }
+      bucketRegions.set(bucket, region);
+      return region;
+    },
+
+    async listObjects(bucket, { prefix, marker, maxKeys = 1000, versions = false } = {}) {
+      if (!versions) {
+        const response = await bucketClient(bucket).send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          MaxKeys: maxKeys,
+          ContinuationToken: marker
+        }));
+        return {
+          objects: response.Contents || [],
+          next: response.IsTruncated ? response.NextContinuationToken : undefined
+        };
+      }
+
+      const response = await bucketClient(bucket).send(new ListObjectVersionsCommand({
+        Bucket: bucket,
+        Prefix: prefix,
+        MaxKeys: maxKeys,
+        ...(marker && { KeyMarker: marker.key, VersionIdMarker: marker.versionId })
+      }));
+      return {
+        objects: versionPageEntries(response),
+        next: response.IsTruncated ? { key: response.NextKeyMarker, versionId: response.NextVersionIdMarker } : undefined
+      };
+    },
+
+    async readObject(bucket, key, { versionId = null, maxBytes } = {}) {
+      const response = await bucketClient(bucket).send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ...(versionId && { VersionId: versionId }),
+        ...(maxBytes && { Range: `bytes=0-${maxBytes - 1}` })
+      }));
+      if (!response.Body) {
+        return null;
+      }
+
+      // ContentRange is "bytes 0-N/TOTAL" for ranged reads; fall back to ContentLength
+      const rangeTotal = response.ContentRange && response.ContentRange.split('/')[1];
+      const objectSize = parseInt(rangeTotal, 10) || response.ContentLength || 0;
+
+      return { body: response.Body, objectSize, contentType: response.ContentType || null };
+    },
+
+    async getObjectMetadata(bucket, key, { versionId = null } = {}) {
+      const response = await bucketClient(bucket).send(new HeadObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ...(versionId && { VersionId: versionId })
+      }));
+      return {
+        Key: key,
+        Size: response.ContentLength,
+        ETag: response.ETag,
+        LastModified: response.LastModified,
+        ContentType: response.ContentType || null,
+        ...(response.VersionId && { VersionId: response.VersionId })
+      };
+    },
+
+    /**
+     * Check a bucket's default encryption, public access block and access logging.
+     * Each check is 'pass', 'fail' or 'unknown' (when the configuration cannot be read).
+     */
+    async checkPosture(bucket) {
+      const run = async (label, command, evaluate, missingCodes) => {
+        try {
+          return evaluate(await bucketClient(bucket).send(command));
+        } catch (error) {
+          if (missingCodes.includes(error.name || error.Code)) {
+            return 'fail';
+          }
+          logger.debug(`Could not read ${label} for bucket ${bucket}: ${error.message}`);
+          return 'unknown';
+        }
+      };
+
+      const [encryption, publicAccessBlock, accessLogging] = await Promise.all([
+        run(
+          'encryption configuration',
+          new GetBucketEncryptionCommand({ Bucket: bucket }),
+          response => {
+            const rules = (response.ServerSideEncryptionConfiguration || {}).Rules || [];
+            return rules.some(rule => rule.ApplyServerSideEncryptionByDefault) ? 'pass' : 'fail';
+          },
+          ['ServerSideEncryptionConfigurationNotFoundError']
+        ),
+        run(
+          'public access block',
+          new GetPublicAccessBlockCommand({ Bucket: bucket }),
+          response => {
+            const config = response.PublicAccessBlockConfiguration || {};
+            return config.BlockPublicAcls && config.IgnorePublicAcls && config.BlockPublicPolicy && config.RestrictPublicBuckets
+              ? 'pass'
+              : 'fail';
+          },
+          ['NoSuchPublicAccessBlockConfiguration']
+        ),
+        run(
+          'logging configuration',
+          new GetBucketLoggingCommand({ Bucket: bucket }),
+          response => (response.LoggingEnabled ? 'pass' : 'fail'),
+          []
+        )
+      ]);
+
+      return {
+        encryption,
+        public_access_block: publicAccessBlock,
+        access_logging: accessLogging
+      };
+    }
+  };
+};
+
+/**
+ * Create an adapter for S3-compatible storage at `endpoint`. Path-style addressing
+ * (`endpoint/bucket/key`) is the default since most on-prem servers do not serve
+ * bucket subdomains. Every bucket is reported in `region`.
+ */
+const createS3CompatibleSource = ({ endpoint, region = 'us-east-1', forcePathStyle = true, accessKeyId, secretAccessKey }) => createS3Source({
+  type: 's3-compatible',
+  name: endpoint,
+  defaultRegion: region,
+  resolveRegions: false,
+  clientFor: (clientRegion) => new S3Client({
+    region: clientRegion,
+    endpoint,
+    forcePathStyle,
+    credentials: { accessKeyId, secretAccessKey }
+  })
+});
+
+module.exports = {
+  createS3Source,
+  createS3CompatibleSource
+};
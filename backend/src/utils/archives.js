@@ -0,0 +1,186 @@
+/**
+ * Archive Extraction
+ * Walks zip, gzip and tar archives member by member with zip-bomb limits
+ */
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+
+/**
+ * Raised when an archive exceeds the member-count or decompressed-size budget
+ */
+class ArchiveLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveLimitError';
+  }
+}
+
+// Extensions handled as archives (.tar.gz is seen as .gz, then its .tar member is walked)
+const archiveExtensions = {
+  '.zip': 'zip',
+  '.gz': 'gzip',
+  '.tgz': 'gzip',
+  '.tar': 'tar'
+};
+
+/**
+ * Determine archive type from magic bytes (when a buffer is given) or the file extension
+ */
+const archiveTypeOf = (name, buffer) => {
+  if (buffer && buffer.length >= 4) {
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) {
+      return 'zip';
+    }
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return 'gzip';
+    }
+    if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') {
+      return 'tar';
+    }
+  }
+
+  const lower = name.toLowerCase();
+  const extension = lower.substring(lower.lastIndexOf('.'));
+  return archiveExtensions[extension] || null;
+};
+
+/**
+ * Create a decompression budget shared by an archive and everything nested inside it
+ */
+const createBudget = ({ maxMembers, maxTotalBytes }) => ({
+  members: 0,
+  bytes: 0,
+  maxMembers,
+  maxTotalBytes
+});
+
+/**
+ * Read a member stream into a buffer of at most `maxBytes`.
+ * Bytes beyond `maxBytes` are drained but still charged to the budget, so a
+ * decompression bomb hits the total limit instead of spinning forever.
+ */
+const readMember = async (stream, maxBytes, budget) => {
+  const chunks = [];
+  let size = 0;
+  let kept = 0;
+
+  for await (const chunk of stream) {
+    size += chunk.length;
+    budget.bytes += chunk.length;
+    if (budget.bytes > budget.maxTotalBytes) {
+      throw new ArchiveLimitError(`Decompressed size exceeds ${budget.maxTotalBytes} bytes`);
+    }
+    if (kept < maxBytes) {
+      const piece = chunk.subarray(0, maxBytes - kept);
+      chunks.push(piece);
+      kept += piece.length;
+    }
+  }
+
+  return { buffer: Buffer.concat(chunks), size, truncated: size > kept };
+};
+
+const countMember = (budget) => {
+  budget.members++;
+  if (budget.members > budget.maxMembers) {
+    throw new ArchiveLimitError(`Archive has more than ${budget.maxMembers} members`);
+  }
+};
+
+const walkGzip = async (buffer, name, maxMemberBytes, budget, onMember) => {
+  countMember(budget);
+  const lower = name.toLowerCase();
+  const memberName = lower.endsWith('.tgz')
+    ? `${name.slice(0, -4)}.tar`
+    : lower.endsWith('.gz') ? name.slice(0, -3) : name;
+
+  const gunzip = Readable.from([buffer]).pipe(zlib.createGunzip());
+  const member = await readMember(gunzip, maxMemberBytes, budget);
+  await onMember({ name: memberName.substring(memberName.lastIndexOf('/') + 1), ...member });
+};
+
+const walkTar = async (buffer, maxMemberBytes, budget, onMember) => {
+  const extract = tar.extract();
+  Readable.from([buffer]).pipe(extract);
+
+  for await (const entry of extract) {
+    if (entry.header.type !== 'file') {
+      entry.resume();
+      continue;
+    }
+    countMember(budget);
+    const member = await readMember(entry, maxMemberBytes, budget);
+    await onMember({ name: entry.header.name, ...member });
+  }
+};
+
+const walkZip = (buffer, maxMemberBytes, budget, onMember) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, { lazyEntries: true }, (openError, zipfile) => {
+    if (openError) {
+      reject(openError);
+      return;
+    }
+
+    const fail = (error) => {
+      zipfile.close();
+      reject(error);
+    };
+
+    zipfile.on('error', fail);
+    zipfile.on('end', resolve);
+    zipfile.on('entry', (entry) => {
+      if (entry.fileName.endsWith('/')) {
+        zipfile.readEntry();
+        return;
+      }
+
+      try {
+        countMember(budget);
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      zipfile.openReadStream(entry, async (streamError, stream) => {
+        try {
+          if (streamError) throw streamError;
+          const member = await readMember(stream, maxMemberBytes, budget);
+          await onMember({ name: entry.fileName, ...member });
+          zipfile.readEntry();
+        } catch (error) {
+          fail(error);
+        }
+      });
+    });
+
+    zipfile.readEntry();
+  });
+});
+
+/**
+ * Call `onMember({ name, buffer, size, truncated })` for each file in an archive, one at a time.
+ * Throws ArchiveLimitError when the shared budget is exhausted.
+ */
+const walkArchive = async (buffer, type, name, { maxMemberBytes, budget }, onMember) => {
+  switch (type) {
+    case 'gzip':
+      return walkGzip(buffer, name, maxMemberBytes, budget, onMember);
+    case 'tar':
+      return walkTar(buffer, maxMemberBytes, budget, onMember);
+    case 'zip':
+      return walkZip(buffer, maxMemberBytes, budget, onMember);
+    default:
+      throw new Error(`Unsupported archive type: ${type}`);
+  }
+};
+
+module.exports = {
+  ArchiveLimitError,
+  archiveExtensions,
+  archiveTypeOf,
+  createBudget,
+  walkArchive
+};
@@ -0,0 +1,28 @@
+/**
+ * Audit Log
+ * Append-only JSON record of sensitive actions (value reveals, denied admin access)
+ */
+
+const winston = require('winston');
+const logger = require('./logger');
+
+const auditLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: process.env.AUDIT_LOG_FILE || 'logs/audit.log' })
+  ]
+});
+
+/**
+ * Record an audited action with who did it and the relevant details
+ */
+const audit = (action, details = {}) => {
+  auditLogger.info(action, details);
+  logger.info(`Audit: ${action} by ${details.user || 'unknown user'}`);
+};
+
+module.exports = { audit };
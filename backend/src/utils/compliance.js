@@ -0,0 +1,161 @@
+/**
+ * Compliance Framework Rule Packs
+ * Maps detectors and bucket posture checks to the controls of specific standards.
+ *
+ * A control lists the detector keys (patterns, the entropy detector, custom rules or the
+ * credential pairs of utils/correlation.js) whose findings violate it and/or the posture
+ * checks every scanned bucket must pass. A control fails on any finding or failed bucket;
+ * a control with only posture checks that could not be run (e.g. AccessDenied) is reported
+ * as not evaluated and left out of the score, and one whose checks could be run on some
+ * buckets but not others is partial rather than passed.
+ */
+
+// Posture checks run once per bucket by the scanner
+const postureChecks = {
+  encryption: 'Default encryption at rest',
+  public_access_block: 'Public access fully blocked',
+  access_logging: 'Server access logging enabled'
+};
+
+const personalData = ['aadhaar', 'pan', 'email', 'phone', 'ssn', 'credit_card', 'bank_account', 'indian_bank_account', 'upi'];
+const credentials = [
+  'password', 'aws_access_key', 'aws_secret_key', 'api_key', 'private_key', 'db_connection', 'high_entropy_secret',
+  'aws_credential_pair', 'db_credential_pair'
+];
+
+const frameworks = [
+  {
+    key: 'pci_dss',
+    name: 'PCI DSS 3.2.1',
+    controls: [
+      { id: '1.3', title: 'Prohibit direct public access to the cardholder data environment', checks: ['public_access_block'] },
+      { id: '3.4', title: 'Render PAN unreadable anywhere it is stored', detectors: ['credit_card'] },
+      { id: '8.2.1', title: 'Render authentication credentials unreadable in storage', detectors: credentials },
+      { id: '10.2', title: 'Implement automated audit trails', checks: ['access_logging'] }
+    ]
+  },
+  {
+    key: 'gdpr',
+    name: 'GDPR',
+    controls: [
+      { id: 'Art. 5(1)(f)', title: 'Personal data processed with appropriate security (integrity and confidentiality)', detectors: personalData },
+      { id: 'Art. 32', title: 'Security of processing: encryption and protection against unauthorised access', checks: ['encryption', 'public_access_block'] }
+    ]
+  },
+  {
+    key: 'hipaa',
+    name: 'HIPAA Security Rule',
+    controls: [
+      { id: '164.312(a)(2)(iv)', title: 'Encryption and decryption of ePHI', checks: ['encryption'] },
+      { id: '164.312(b)', title: 'Audit controls', checks: ['access_logging'] },
+      { id: '164.312(d)', title: 'Person or entity authentication (no exposed credentials)', detectors: credentials },
+      { id: '164.514(b)', title: 'De-identification of identifiers', detectors: ['ssn', 'email', 'phone'] }
+    ]
+  },
+  {
+    key: 'dpdp',
+    name: 'India DPDP Act 2023',
+    controls: [
+      { id: 'Sec. 8(4)', title: 'Appropriate technical and organisational measures', checks: ['encryption', 'public_access_block'] },
+      { id: 'Sec. 8(5)', title: 'Reasonable security safeguards for personal data (Aadhaar, PAN, bank and UPI details)', detectors: ['aadhaar', 'pan', 'indian_bank_account', 'bank_account', 'upi', 'phone', 'email'] }
+    ]
+  }
+];
+
+/**
+ * Evaluate one control against the scan results and bucket posture
+ */
+const evaluateControl = (control, results, posture, minConfidence) => {
+  const detectors = control.detectors || [];
+  const checks = control.checks || [];
+
+  let findings = 0;
+  const resources = new Set();
+  results.forEach(result => {
+    result.matches.forEach(match => {
+      if (detectors.includes(match.pattern) && (match.confidence === undefined || match.confidence >= minConfidence)) {
+        findings += match.count || 1;
+        resources.add(`${result.bucket}/${result.key}`);
+      }
+    });
+  });
+
+  const failedBuckets = [];
+  const unknownBuckets = [];
+  let passedBuckets = 0;
+  if (checks.length > 0) {
+    Object.keys(posture).forEach(bucket => {
+      const statuses = checks.map(check => posture[bucket][check] || 'unknown');
+      if (statuses.includes('fail')) {
+        failedBuckets.push(bucket);
+      } else if (statuses.includes('unknown')) {
+        unknownBuckets.push(bucket);
+      } else {
+        passedBuckets++;
+      }
+    });
+  }
+
+  let status;
+  if (findings > 0 || failedBuckets.length > 0) {
+    status = 'fail';
+  } else if (detectors.length === 0 && passedBuckets === 0) {
+    status = 'not_evaluated';
+  } else if (unknownBuckets.length > 0) {
+    status = 'partial';
+  } else {
+    status = 'pass';
+  }
+
+  return {
+    id: control.id,
+    title: control.title,
+    status,
+    findings,
+    resources: [...resources].slice(0, 10),
+    ...(checks.length > 0 && {
+      checks: checks.map(check => postureChecks[check]),
+      failedBuckets,
+      unknownBuckets
+    })
+  };
+};
+
+/**
+ * Report a status and a score (percentage of evaluated controls passed) per framework.
+ * A framework fails when any control fails, and is partial when none fails but some are
+ * partial; partial controls count as evaluated but not passed.
+ * `results` are the scanner's per-object results, `posture` maps bucket name to
+ * { [check]: 'pass' | 'fail' | 'unknown' }.
+ */
+const frameworkStatus = (evaluated) => {
+  if (evaluated.length === 0) {
+    return 'not_evaluated';
+  }
+  if (evaluated.some(control => control.status === 'fail')) {
+    return 'fail';
+  }
+  return evaluated.some(control => control.status === 'partial') ? 'partial' : 'pass';
+};
+
+const evaluateFrameworks = (results, posture = {}, { minConfidence = 0.5 } = {}) => frameworks.map(framework => {
+  const controls = framework.controls.map(control => evaluateControl(control, results, posture, minConfidence));
+  const evaluated = controls.filter(control => control.status !== 'not_evaluated');
+  const passed = evaluated.filter(control => control.status === 'pass');
+
+  return {
+    key: framework.key,
+    name: framework.name,
+    status: frameworkStatus(evaluated),
+    score: evaluated.length > 0 ? Math.round((passed.length / evaluated.length) * 100) : 0,
+    passedControls: passed.length,
+    evaluatedControls: evaluated.length,
+    controls
+  };
+});
+
+module.exports = {
+  postureChecks,
+  frameworks,
+  evaluateFrameworks
+};
@@ -0,0 +1,123 @@
+/**
+ * Concurrency Helpers
+ * A pool of worker threads for CPU-bound work, and a bounded async map for I/O.
+ */
+
+const { Worker } = require('worker_threads');
+
+/**
+ * Create a pool of up to `size` workers running `file`. Workers are started on demand and
+ * take one task at a time; `run(task, timeoutMs)` resolves with the worker's `result` or
+ * rejects with its `error`. A worker that crashes is replaced and its task rejected; so is
+ * one still busy `timeoutMs` after it took the task, rejected with an error whose
+ * `timedOut` is set. Idle workers do not keep the process alive.
+ */
+const createWorkerPool = (file, size) => {
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  let nextId = 1;
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      if (idle.length === 0 && workers.length < size) {
+        spawn();
+      }
+      if (idle.length === 0) {
+        return;
+      }
+      const worker = idle.pop();
+      const job = queue.shift();
+      worker.job = job;
+      worker.ref();
+      if (job.timeoutMs) {
+        job.timer = setTimeout(() => {
+          worker.lastError = Object.assign(new Error(`Worker timed out after ${job.timeoutMs}ms`), { timedOut: true });
+          worker.terminate();
+        }, job.timeoutMs);
+      }
+      worker.postMessage({ id: job.id, ...job.task });
+    }
+  };
+
+  const release = (worker) => {
+    clearTimeout(worker.job.timer);
+    worker.job = null;
+    worker.unref();
+    idle.push(worker);
+    dispatch();
+  };
+
+  const spawn = () => {
+    const worker = new Worker(file);
+    worker.job = null;
+    worker.unref();
+
+    worker.on('message', ({ id, result, error }) => {
+      const job = worker.job;
+      if (!job || job.id !== id) {
+        return;
+      }
+      release(worker);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+    });
+
+    worker.on('error', (error) => {
+      worker.lastError = error;
+    });
+
+    worker.on('exit', (code) => {
+      workers.splice(workers.indexOf(worker), 1);
+      if (idle.includes(worker)) {
+        idle.splice(idle.indexOf(worker), 1);
+      }
+      if (worker.job) {
+        clearTimeout(worker.job.timer);
+        worker.job.reject(worker.lastError || new Error(`Worker stopped with exit code ${code}`));
+      }
+      dispatch();
+    });
+
+    workers.push(worker);
+    idle.push(worker);
+  };
+
+  return {
+    size,
+
+    run(task, timeoutMs = 0) {
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, task, timeoutMs, resolve, reject });
+        dispatch();
+      });
+    }
+  };
+};
+
+/**
+ * Call `fn(item, index)` for every item with at most `limit` calls in flight.
+ * Resolves with the results in item order.
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+};
+
+module.exports = {
+  createWorkerPool,
+  mapWithConcurrency
+};
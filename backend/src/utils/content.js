@@ -0,0 +1,350 @@
+/**
+ * Content Sniffing
+ * Works out what an object really is from its first bytes, its S3 ContentType and its
+ * name, and which character encoding its text uses, before anything reaches the detectors.
+ */
+
+const { TextDecoder } = require('util');
+const { archiveTypeOf } = require('./archives');
+const { documentTypeOf } = require('./extractors');
+const { structuredTypeOf } = require('./structured');
+const { binaryExtensions } = require('./patterns');
+
+// Bytes read from the start of an object to sniff its type and encoding
+const SNIFF_BYTES = 8192;
+
+// Magic numbers of binary formats no detector can read. `offset` defaults to 0.
+const binarySignatures = [
+  { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'gif', bytes: 'GIF87a' },
+  { type: 'gif', bytes: 'GIF89a' },
+  { type: 'tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'webp', bytes: 'WEBP', offset: 8 },
+  { type: 'ico', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'mp4', bytes: 'ftyp', offset: 4 },
+  { type: 'mp3', bytes: 'ID3' },
+  { type: 'ogg', bytes: 'OggS' },
+  { type: 'flac', bytes: 'fLaC' },
+  { type: 'riff', bytes: 'RIFF' },
+  { type: 'matroska', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: 'elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: 'mach-o', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { type: 'mach-o', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { type: 'java-class', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { type: 'wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { type: 'ole', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { type: '7z', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'rar', bytes: 'Rar!\x1a\x07' },
+  ...'123456789'.split('').map(level => ({ type: 'bzip2', bytes: `BZh${level}` })),
+  { type: 'xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { type: 'zstd', bytes: [0x28, 0xb5, 0x2f, 0xfd] },
+  { type: 'sqlite', bytes: 'SQLite format 3\x00' },
+  { type: 'parquet', bytes: 'PAR1' }
+];
+
+const contentTypeDocuments = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
+};
+
+const contentTypeArchives = {
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+  'application/gzip': 'gzip',
+  'application/x-gzip': 'gzip',
+  'application/x-tar': 'tar'
+};
+
+const contentTypeStructured = {
+  'application/json': 'json',
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl',
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'application/yaml': 'yaml',
+  'application/x-yaml': 'yaml',
+  'text/yaml': 'yaml',
+  'text/x-yaml': 'yaml'
+};
+
+const binaryContentTypes = [
+  'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint',
+  'application/x-7z-compressed', 'application/x-rar-compressed', 'application/vnd.rar',
+  'application/x-bzip2', 'application/x-xz', 'application/zstd', 'application/wasm',
+  'application/x-executable', 'application/x-msdownload', 'application/x-sharedlib',
+  'application/x-mach-binary', 'application/vnd.apache.parquet', 'application/x-sqlite3'
+];
+
+// ContentType values S3 and SDKs use when they know nothing about the object
+const genericContentTypes = ['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown'];
+
+const charsetEncodings = {
+  'utf-8': 'utf8',
+  utf8: 'utf8',
+  'us-ascii': 'utf8',
+  ascii: 'utf8',
+  'utf-16le': 'utf16le',
+  'utf-16be': 'utf16be',
+  'iso-8859-1': 'latin1',
+  latin1: 'latin1',
+  'windows-1252': 'latin1',
+  cp1252: 'latin1'
+};
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : bytes;
+  if (buffer.length < offset + expected.length) {
+    return false;
+  }
+  for (let i = 0; i < expected.length; i++) {
+    if (buffer[offset + i] !== expected[i]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Split a ContentType header into its lower-cased media type and charset
+ */
+const parseContentType = (contentType) => {
+  const [mediaType, ...params] = String(contentType || '').toLowerCase().split(';');
+  const charset = params
+    .map(param => param.trim().split('='))
+    .filter(([name]) => name === 'charset')
+    .map(([, value]) => (value || '').replace(/"/g, '').trim())[0];
+  return { mediaType: mediaType.trim(), charset: charset || null };
+};
+
+/**
+ * Tell which Office Open XML document a zip holds from the part names near its start
+ */
+const officeTypeOf = (head) => {
+  const names = head.toString('latin1');
+  if (!names.includes('[Content_Types].xml')) {
+    return null;
+  }
+  if (names.includes('word/')) return 'docx';
+  if (names.includes('xl/')) return 'xlsx';
+  if (names.includes('ppt/')) return 'pptx';
+  return null;
+};
+
+/**
+ * Detect the text encoding of `head`: a byte order mark wins, then a charset in the
+ * ContentType, then the pattern of zero bytes typical of UTF-16, and finally whether
+ * the bytes are valid UTF-8 (if not, they are read as Latin-1).
+ * Returns 'utf8', 'utf16le', 'utf16be' or 'latin1'.
+ */
+const detectEncoding = (head, contentType) => {
+  if (startsWith(head, [0xef, 0xbb, 0xbf])) return 'utf8';
+  if (startsWith(head, [0xff, 0xfe])) return 'utf16le';
+  if (startsWith(head, [0xfe, 0xff])) return 'utf16be';
+
+  const { charset } = parseContentType(contentType);
+  if (charset && charsetEncodings[charset]) {
+    return charsetEncodings[charset];
+  }
+
+  // ASCII text in UTF-16 has a zero in every other byte
+  const sample = head.subarray(0, Math.min(head.length, 4096) & ~1);
+  if (sample.length >= 4) {
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i += 2) {
+      if (sample[i] === 0) evenZeros++;
+      if (sample[i + 1] === 0) oddZeros++;
+    }
+    const pairs = sample.length / 2;
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf16le';
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf16be';
+  }
+
+  try {
+    // Streaming mode, so a character cut off at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return 'utf8';
+  } catch (error) {
+    return 'latin1';
+  }
+};
+
+/**
+ * Whether decoded-as-single-byte content looks binary: any NUL, or more than one in
+ * ten bytes a control character other than tab, newline, carriage return, form feed or escape
+ */
+const looksBinary = (head, encoding) => {
+  if (encoding === 'utf16le' || encoding === 'utf16be') {
+    return false;
+  }
+  const sample = head.subarray(0, Math.min(head.length, 4096));
+  let control = 0;
+  for (let i = 0; i < sample.length; i++) {
+    const byte = sample[i];
+    if (byte === 0) {
+      return true;
+    }
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d && byte !== 0x0c && byte !== 0x1b) {
+      control++;
+    }
+  }
+  return control > sample.length / 10;
+};
+
+/**
+ * Classify an object from its first bytes (`head`), ContentType and name.
+ * Magic bytes win, then a specific ContentType, then the file extension, then the bytes
+ * themselves. Returns { kind, type, structuredType, encoding, detectedBy } where `kind` is
+ * 'archive', 'document', 'binary' or 'text', `type` the archive, document or binary format,
+ * and text gets the structured type (from the name or ContentType) and its encoding.
+ */
+const sniffContent = (head, { name, contentType } = {}) => {
+  const { mediaType } = parseContentType(contentType);
+  const classify = (kind, type, detectedBy) => {
+    if (kind !== 'text') {
+      return { kind, type, structuredType: null, encoding: null, detectedBy };
+    }
+    const encoding = detectEncoding(head, contentType);
+    if (looksBinary(head, encoding)) {
+      return { kind: 'binary', type: null, structuredType: null, encoding: null, detectedBy: 'content' };
+    }
+    return {
+      kind,
+      type: null,
+      structuredType: structuredTypeOf(name) || contentTypeStructured[mediaType] || null,
+      encoding,
+      detectedBy
+    };
+  };
+
+  // Magic bytes
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) {
+    const office = documentTypeOf(name) || officeTypeOf(head);
+    return office && office !== 'pdf' ? classify('document', office, 'magic') : classify('archive', 'zip', 'magic');
+  }
+  if (startsWith(head, '%PDF-')) {
+    return classify('document', 'pdf', 'magic');
+  }
+  const archiveType = archiveTypeOf('', head);
+  if (archiveType) {
+    return classify('archive', archiveType, 'magic');
+  }
+  const signature = binarySignatures.find(({ bytes, offset }) => startsWith(head, bytes, offset));
+  if (signature) {
+    return classify('binary', signature.type, 'magic');
+  }
+
+  // A ContentType that says something specific
+  if (!genericContentTypes.includes(mediaType)) {
+    if (contentTypeDocuments[mediaType]) return classify('document', contentTypeDocuments[mediaType], 'content-type');
+    if (contentTypeArchives[mediaType]) return classify('archive', contentTypeArchives[mediaType], 'content-type');
+    if (binaryContentTypes.includes(mediaType) || (/^(image|video|audio|font)\//.test(mediaType) && mediaType !== 'image/svg+xml')) {
+      return classify('binary', mediaType, 'content-type');
+    }
+  }
+
+  // The file extension
+  const documentType = documentTypeOf(name || '');
+  if (documentType) return classify('document', documentType, 'extension');
+  const extensionArchive = archiveTypeOf(name || '');
+  if (extensionArchive) return classify('archive', extensionArchive, 'extension');
+  const lower = (name || '').toLowerCase();
+  if (binaryExtensions.includes(lower.substring(lower.lastIndexOf('.')))) {
+    return classify('binary', null, 'extension');
+  }
+
+  return classify('text', null, /^text\//.test(mediaType) ? 'content-type' : 'content');
+};
+
+/**
+ * Decode bytes in one of the encodings detectEncoding returns. A byte order mark is
+ * kept as U+FEFF so character positions still map exactly to byte offsets.
+ */
+const decodeText = (buffer, encoding) => {
+  switch (encoding) {
+    case 'utf16le':
+      return buffer.toString('utf16le');
+    case 'utf16be':
+      return Buffer.from(buffer.subarray(0, buffer.length & ~1)).swap16().toString('utf16le');
+    case 'latin1':
+      return buffer.toString('latin1');
+    default:
+      return buffer.toString('utf8');
+  }
+};
+
+/**
+ * Move `index` back to the nearest character boundary of `buffer` in `encoding`, so a
+ * window cut there does not split a character (or a UTF-16 surrogate pair)
+ */
+const alignToCharacter = (buffer, index, encoding) => {
+  let aligned = index;
+  if (encoding === 'utf16le' || encoding === 'utf16be') {
+    aligned -= aligned % 2;
+    const unitAt = (i) => (encoding === 'utf16le' ? buffer.readUInt16LE(i) : buffer.readUInt16BE(i));
+    if (aligned >= 2 && aligned < buffer.length - 1 && (unitAt(aligned - 2) & 0xfc00) === 0xd800) {
+      aligned -= 2;
+    }
+  } else if (encoding !== 'latin1') {
+    while (aligned > 0 && (buffer[aligned] & 0xc0) === 0x80) aligned--;
+  }
+  return aligned;
+};
+
+/**
+ * Read at least `bytes` bytes from the start of a stream without losing them.
+ * Returns { head, body, close }: `body` yields the whole stream again from the start,
+ * and `close()` stops the download when the rest is not needed.
+ */
+const peekStream = async (stream, bytes = SNIFF_BYTES) => {
+  const iterator = stream[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  let done = false;
+
+  while (length < bytes) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    const chunk = Buffer.isBuffer(next.value) ? next.value : Buffer.from(next.value);
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+
+  const head = Buffer.concat(chunks);
+  async function* body() {
+    yield head;
+    while (!done) {
+      const next = await iterator.next();
+      if (next.done) {
+        return;
+      }
+      yield next.value;
+    }
+  }
+
+  return {
+    head,
+    body: body(),
+    close: async () => {
+      if (!done && iterator.return) {
+        await iterator.return();
+      }
+    }
+  };
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  sniffContent,
+  detectEncoding,
+  decodeText,
+  alignToCharacter,
+  peekStream
+};
@@ -0,0 +1,73 @@
+/**
+ * Context Scoring
+ * Assigns a confidence score to a match from nearby keywords and validator outcome
+ */
+
+const DEFAULT_BASE_CONFIDENCE = 0.5;
+const KEYWORD_BOOST = 0.3;
+const NO_KEYWORD_PENALTY = 0.2;
+const VALIDATION_BOOST = 0.2;
+const VALIDATION_PENALTY = 0.2;
+
+// Compiled keyword regexes, keyed by pattern key
+const keywordRegexCache = new Map();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build (and cache) a case-insensitive regex matching any of a pattern's context keywords.
+ * Keywords must start at a word boundary so short ones like "pan" do not match inside "company".
+ */
+const getKeywordRegex = (pattern) => {
+  if (!pattern.contextKeywords || pattern.contextKeywords.length === 0) {
+    return null;
+  }
+
+  const cacheKey = `${pattern.key}:${pattern.contextKeywords.join('|')}`;
+  if (!keywordRegexCache.has(cacheKey)) {
+    const alternatives = pattern.contextKeywords.map(escapeRegex).join('|');
+    keywordRegexCache.set(cacheKey, new RegExp(`(?:^|[^a-z0-9])(?:${alternatives})`, 'i'));
+  }
+  return keywordRegexCache.get(cacheKey);
+};
+
+/**
+ * Find the first context keyword within `windowChars` characters either side of a match
+ */
+const findContextKeyword = (pattern, text, index, length, windowChars) => {
+  const regex = getKeywordRegex(pattern);
+  if (!regex) {
+    return null;
+  }
+
+  const before = text.substring(Math.max(0, index - windowChars), index);
+  const after = text.substring(index + length, index + length + windowChars);
+  const found = regex.exec(before) || regex.exec(after);
+  return found ? found[0].replace(/^[^a-z0-9]/i, '').toLowerCase() : null;
+};
+
+/**
+ * Score a single match between 0 and 1.
+ * Nearby keywords raise the score; patterns that declare keywords but have none nearby
+ * are lowered. A passed validator raises it, a failed (downgraded) one lowers it.
+ */
+const scoreConfidence = ({ pattern, keyword, validation }) => {
+  let score = typeof pattern.baseConfidence === 'number' ? pattern.baseConfidence : DEFAULT_BASE_CONFIDENCE;
+
+  if (keyword) {
+    score += KEYWORD_BOOST;
+  } else if (pattern.contextKeywords && pattern.contextKeywords.length > 0) {
+    score -= NO_KEYWORD_PENALTY;
+  }
+
+  if (validation) {
+    score += validation.valid ? VALIDATION_BOOST : -VALIDATION_PENALTY;
+  }
+
+  return Math.round(Math.min(1, Math.max(0.05, score)) * 100) / 100;
+};
+
+module.exports = {
+  findContextKeyword,
+  scoreConfidence
+};
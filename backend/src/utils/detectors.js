@@ -0,0 +1,165 @@
+/**
+ * Detector Plugins
+ * Detectors that need more than one regex (a dictionary lookup, a parser, a checksum over
+ * a multi-line block) are CommonJS modules in DETECTORS_DIR exporting:
+ *
+ *   key, label, severity         like a rule (see utils/patterns.js)
+ *   description, recommendation  optional texts for findings
+ *   contextKeywords, baseConfidence  optional, scored like a rule's when a match has no confidence
+ *   enabled                      optional; false leaves it off unless a scan enables it
+ *   version                      optional string; change it when settings read outside the
+ *                                module (environment, word lists) change what it finds, so
+ *                                incremental scans do not reuse older results
+ *   detect(text, context)        returns [{ index, length, confidence?, severity?, keyword? }]
+ *
+ * `context` is { bucket, key, objectKey, contentType, encoding } of the object (for archive
+ * members `key` is the member path). `index` and `length` are character positions in `text`;
+ * positions, snippets, fingerprints and redaction are handled by the scanner like any match.
+ * `detect` must be synchronous and free of side effects; it may run in a worker thread.
+ *
+ * Plain data in, plain data out, like utils/matcher.js: no logging here.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { severityOrder } = require('./patterns');
+
+const keyRegex = /^[a-z][a-z0-9_]{1,63}$/;
+
+// Loaded modules by file, with the content hash they were loaded from
+const loaded = new Map();
+
+const detectorsDir = () => process.env.DETECTORS_DIR || path.join(__dirname, '../../detectors');
+
+/**
+ * Problems with a detector module's exports (empty when valid)
+ */
+const validateDetector = (detector) => {
+  const errors = [];
+  if (!detector || typeof detector !== 'object') {
+    return ['module must export an object'];
+  }
+  if (typeof detector.key !== 'string' || !keyRegex.test(detector.key)) {
+    errors.push('key must be 2-64 lowercase letters, digits or underscores, starting with a letter');
+  }
+  if (typeof detector.label !== 'string' || !detector.label.trim()) {
+    errors.push('label is required');
+  }
+  if (!severityOrder.includes(detector.severity)) {
+    errors.push(`severity must be one of ${severityOrder.join(', ')}`);
+  }
+  if (typeof detector.detect !== 'function') {
+    errors.push('detect must be a function');
+  }
+  if (detector.contextKeywords !== undefined && (!Array.isArray(detector.contextKeywords) ||
+      detector.contextKeywords.some(keyword => typeof keyword !== 'string'))) {
+    errors.push('contextKeywords must be an array of strings');
+  }
+  if (detector.version !== undefined && typeof detector.version !== 'string') {
+    errors.push('version must be a string');
+  }
+  if (detector.baseConfidence !== undefined &&
+      (typeof detector.baseConfidence !== 'number' || detector.baseConfidence < 0 || detector.baseConfidence > 1)) {
+    errors.push('baseConfidence must be a number between 0 and 1');
+  }
+  return errors;
+};
+
+/**
+ * Require a detector module, loading it again when the file's content hash changed
+ */
+const loadDetectorModule = (file, hash) => {
+  const cached = loaded.get(file);
+  if (cached && cached.hash === hash) {
+    return cached.detector;
+  }
+  delete require.cache[require.resolve(file)];
+  const detector = require(file);
+  loaded.set(file, { hash, detector });
+  return detector;
+};
+
+/**
+ * Read every `.js` module in `dir`. Returns { detectors, errors }: a plain description of
+ * each valid detector ({ key, label, severity, ..., enabled, file, hash }) and one message
+ * per module that failed to load or validate. A missing directory means no detectors.
+ */
+const readDetectors = (dir = detectorsDir()) => {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { detectors: [], errors: [] };
+    }
+    throw error;
+  }
+
+  const detectors = [];
+  const errors = [];
+  files.forEach(name => {
+    const file = path.join(dir, name);
+    try {
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+      const detector = loadDetectorModule(file, hash);
+      const problems = validateDetector(detector);
+      if (problems.length > 0) {
+        errors.push(`${name}: ${problems.join('; ')}`);
+        return;
+      }
+      if (detectors.some(other => other.key === detector.key)) {
+        errors.push(`${name}: key "${detector.key}" is already used by another detector`);
+        return;
+      }
+      detectors.push({
+        key: detector.key,
+        label: detector.label,
+        severity: detector.severity,
+        description: detector.description || '',
+        recommendation: detector.recommendation || '',
+        ...(detector.contextKeywords && { contextKeywords: detector.contextKeywords }),
+        ...(detector.baseConfidence !== undefined && { baseConfidence: detector.baseConfidence }),
+        enabled: detector.enabled !== false,
+        version: detector.version || null,
+        file,
+        hash
+      });
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  });
+
+  return { detectors, errors };
+};
+
+/**
+ * Run one detector over a text and check what it returned. Matches with positions
+ * outside the text are dropped; an unknown severity falls back to the detector's.
+ */
+const runDetector = (plugin, text, context) => {
+  const detector = loadDetectorModule(plugin.file, plugin.hash);
+  const found = detector.detect(text, context);
+  if (!Array.isArray(found)) {
+    throw new Error('detect must return an array');
+  }
+
+  return found
+    .filter(match => match && Number.isInteger(match.index) && Number.isInteger(match.length) &&
+      match.index >= 0 && match.length > 0 && match.index + match.length <= text.length)
+    .map(match => ({
+      index: match.index,
+      length: match.length,
+      value: text.substr(match.index, match.length),
+      severity: severityOrder.includes(match.severity) ? match.severity : plugin.severity,
+      ...(typeof match.confidence === 'number' && { confidence: Math.min(1, Math.max(0, match.confidence)) }),
+      ...(typeof match.keyword === 'string' && { keyword: match.keyword })
+    }));
+};
+
+module.exports = {
+  detectorsDir,
+  validateDetector,
+  readDetectors,
+  runDetector
+};
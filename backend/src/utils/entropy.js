@@ -0,0 +1,139 @@
+/**
+ * High-Entropy Secret Detection
+ * Finds random-looking tokens in assignments, quoted literals and key/value pairs
+ */
+
+// Detector definition; shares the shape of the regex patterns so matches flow through the same pipeline
+const entropyDetector = {
+  key: 'high_entropy_secret',
+  label: 'High-Entropy Secret',
+  severity: 'High',
+  description: 'Random-looking token assigned to a secret-like name or quoted in a literal',
+  recommendation: 'Verify whether the value is a live credential. Rotate it and move it to a secret management service.',
+  contextKeywords: ['secret', 'token', 'key', 'password', 'passwd', 'auth', 'credential', 'private', 'bearer']
+};
+
+const defaultOptions = {
+  base64Threshold: 4.5,
+  hexThreshold: 3.0,
+  minLength: 20,
+  maxLength: 256
+};
+
+// name = value, name: value, "name": "value" (value optionally quoted)
+const assignmentRegex = /([A-Za-z_][A-Za-z0-9_.-]{0,63})["']?\s*(?::=|=>|=|:)\s*["'`]?([A-Za-z0-9+/=_\-.~]{16,})["'`]?/g;
+// Any quoted literal
+const quotedRegex = /(["'`])([A-Za-z0-9+/=_\-.~]{16,})\1/g;
+
+const hexCharset = /^[0-9a-fA-F]+$/;
+const base64Charset = /^[A-Za-z0-9+/=_\-.~]+$/;
+const uuidRegex = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+// Lengths of hex-encoded MD5, SHA-1, SHA-256, SHA-384 and SHA-512 digests
+const hashHexLengths = [32, 40, 64, 96, 128];
+const hashNameRegex = /(?:hash|sha\d*|md5|checksum|digest|etag|integrity|fingerprint|commit|revision)/i;
+const secretNameRegex = /(?:secret|token|key|passw|pwd|auth|credential|private|bearer|session|signature)/i;
+
+/**
+ * Shannon entropy in bits per character
+ */
+const shannonEntropy = (value) => {
+  if (!value) {
+    return 0;
+  }
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+};
+
+/**
+ * Decide whether a value is an obvious non-secret: UUIDs, digests, or plain words
+ */
+const isExcluded = (value, name) => {
+  if (uuidRegex.test(value)) {
+    return true;
+  }
+  if (/^(?:sha\d+|md5)[-:]/i.test(value)) {
+    return true;
+  }
+  if (hexCharset.test(value) && hashHexLengths.includes(value.length)) {
+    // A digest-length hex value is only kept when the name says it is a secret
+    return !(name && secretNameRegex.test(name)) || hashNameRegex.test(name);
+  }
+  if (name && hashNameRegex.test(name)) {
+    return true;
+  }
+  // Random tokens virtually always mix in digits; identifiers and words do not
+  if (!/\d/.test(value) || !/[A-Za-z]/.test(value)) {
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Find high-entropy candidates in text.
+ * Returns occurrences { value, index, name, charset, entropy }; `name` is the
+ * assignment or key name when the value was found in one.
+ */
+const findHighEntropyStrings = (text, options = {}) => {
+  const settings = { ...defaultOptions, ...options };
+  const candidates = new Map();
+
+  const consider = (value, index, name) => {
+    if (value.length < settings.minLength || value.length > settings.maxLength) {
+      return;
+    }
+    if (candidates.has(index) || isExcluded(value, name)) {
+      return;
+    }
+
+    const charset = hexCharset.test(value) ? 'hex' : base64Charset.test(value) ? 'base64' : null;
+    if (!charset) {
+      return;
+    }
+
+    const entropy = shannonEntropy(value);
+    const threshold = charset === 'hex' ? settings.hexThreshold : settings.base64Threshold;
+    if (entropy < threshold) {
+      return;
+    }
+
+    candidates.set(index, {
+      value,
+      index,
+      name: name || null,
+      charset,
+      entropy: Math.round(entropy * 100) / 100
+    });
+  };
+
+  let match;
+  assignmentRegex.lastIndex = 0;
+  while ((match = assignmentRegex.exec(text)) !== null) {
+    consider(match[2], match.index + match[0].indexOf(match[2], match[1].length), match[1]);
+  }
+
+  quotedRegex.lastIndex = 0;
+  while ((match = quotedRegex.exec(text)) !== null) {
+    consider(match[2], match.index + 1, null);
+  }
+
+  return [...candidates.values()].sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Whether an assignment name suggests the value is a credential
+ */
+const isSecretName = (name) => !!name && secretNameRegex.test(name);
+
+module.exports = {
+  entropyDetector,
+  shannonEntropy,
+  findHighEntropyStrings,
+  isSecretName
+};
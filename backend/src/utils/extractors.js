@@ -0,0 +1,221 @@
+/**
+ * Document Text Extraction
+ * Pulls text out of PDF and Office Open XML (.docx, .xlsx, .pptx) files using pure-JS parsers.
+ * Each extractor returns segments { location, text } so findings can name the page,
+ * slide, paragraph or sheet cell they came from.
+ */
+
+const { archiveTypeOf, createBudget, walkArchive } = require('./archives');
+
+const documentExtensions = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.xlsx': 'xlsx',
+  '.pptx': 'pptx'
+};
+
+/**
+ * Determine document type from the file extension
+ */
+const documentTypeOf = (name) => {
+  const lower = name.toLowerCase();
+  const extension = lower.substring(lower.lastIndexOf('.'));
+  return documentExtensions[extension] || null;
+};
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Concatenate the contents of every `<prefix:t>` (or plain `<t>`) text run in an XML fragment
+ */
+const textRuns = (xml, prefix) => {
+  const runs = [];
+  const tag = prefix ? `${prefix}:t` : 't';
+  const regex = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    runs.push(decodeXmlEntities(match[1]));
+  }
+  return runs.join('');
+};
+
+/**
+ * Read the XML parts of an Office file (a zip) whose names pass `wanted`
+ */
+const readOfficeParts = async (buffer, wanted, limits) => {
+  const parts = {};
+  const budget = createBudget(limits);
+
+  await walkArchive(buffer, 'zip', 'document', { maxMemberBytes: limits.maxMemberBytes, budget }, async (member) => {
+    if (wanted(member.name)) {
+      parts[member.name] = member.buffer.toString('utf8');
+    }
+  });
+
+  return parts;
+};
+
+// Numeric order for names like slide10.xml / sheet2.xml
+const partNumber = (name) => parseInt((name.match(/(\d+)\.xml$/) || [])[1], 10) || 0;
+
+const extractDocx = async (buffer, limits) => {
+  const parts = await readOfficeParts(buffer, name => name === 'word/document.xml', limits);
+  const xml = parts['word/document.xml'] || '';
+
+  const segments = [];
+  const paragraphs = xml.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+  paragraphs.forEach((paragraph, index) => {
+    const text = textRuns(paragraph.replace(/<w:tab\/>/g, '<w:t>\t</w:t>'), 'w');
+    if (text.trim()) {
+      segments.push({ location: `paragraph ${index + 1}`, text });
+    }
+  });
+  return segments;
+};
+
+const extractPptx = async (buffer, limits) => {
+  const parts = await readOfficeParts(buffer, name => /^ppt\/slides\/slide\d+\.xml$/.test(name), limits);
+
+  return Object.keys(parts)
+    .sort((a, b) => partNumber(a) - partNumber(b))
+    .map(name => {
+      const paragraphs = parts[name].match(/<a:p[\s>][\s\S]*?<\/a:p>/g) || [];
+      return {
+        location: `slide ${partNumber(name)}`,
+        text: paragraphs.map(p => textRuns(p, 'a')).filter(Boolean).join('\n')
+      };
+    })
+    .filter(segment => segment.text.trim());
+};
+
+const extractXlsx = async (buffer, limits) => {
+  const parts = await readOfficeParts(buffer, name => (
+    name === 'xl/workbook.xml' ||
+    name === 'xl/_rels/workbook.xml.rels' ||
+    name === 'xl/sharedStrings.xml' ||
+    /^xl\/worksheets\/sheet\d+\.xml$/.test(name)
+  ), limits);
+
+  // Shared string table: cells with t="s" hold an index into it
+  const sharedStrings = ((parts['xl/sharedStrings.xml'] || '').match(/<si>[\s\S]*?<\/si>/g) || [])
+    .map(si => textRuns(si, ''));
+
+  // Map worksheet files to their display names via the workbook relationships
+  const targets = {};
+  ((parts['xl/_rels/workbook.xml.rels'] || '').match(/<Relationship\s[^>]*>/g) || []).forEach(rel => {
+    const id = (rel.match(/\sId="([^"]+)"/) || [])[1];
+    const target = (rel.match(/\sTarget="([^"]+)"/) || [])[1];
+    if (id && target) {
+      targets[id] = `xl/${target.replace(/^\/?xl\//, '')}`;
+    }
+  });
+  const sheetNames = {};
+  ((parts['xl/workbook.xml'] || '').match(/<sheet\s[^>]*>/g) || []).forEach(sheet => {
+    const name = (sheet.match(/\sname="([^"]+)"/) || [])[1];
+    const id = (sheet.match(/\sr:id="([^"]+)"/) || [])[1];
+    if (name && targets[id]) {
+      sheetNames[targets[id]] = decodeXmlEntities(name);
+    }
+  });
+
+  const segments = [];
+  Object.keys(parts)
+    .filter(name => name.startsWith('xl/worksheets/'))
+    .sort((a, b) => partNumber(a) - partNumber(b))
+    .forEach(name => {
+      const sheetName = sheetNames[name] || `Sheet${partNumber(name)}`;
+      const cells = parts[name].match(/<c\s[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || [];
+
+      cells.forEach(cell => {
+        const ref = (cell.match(/\sr="([A-Z]+\d+)"/) || [])[1];
+        const type = (cell.match(/\st="([^"]+)"/) || [])[1];
+        const rawValue = (cell.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+        let text = '';
+        if (type === 's' && rawValue !== undefined) {
+          text = sharedStrings[parseInt(rawValue, 10)] || '';
+        } else if (type === 'inlineStr') {
+          text = textRuns(cell, '');
+        } else if (rawValue !== undefined) {
+          text = decodeXmlEntities(rawValue);
+        }
+
+        if (ref && text.trim()) {
+          segments.push({ location: `${sheetName}!${ref}`, text });
+        }
+      });
+    });
+
+  return segments;
+};
+
+/**
+ * Extract the text of the first `maxPages` pages of a PDF (all of them when 0).
+ * Returns { segments, pageCount } so callers can tell when pages were left out.
+ */
+const extractPdfPages = async (buffer, maxPages = 0) => {
+  // Required lazily; the package index runs a self-test when loaded directly
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const pages = [];
+
+  // pdf.js misreads a Node Buffer ("bad XRef entry"), so it gets a plain view of the bytes
+  const data = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const { numpages } = await pdfParse(data, {
+    max: maxPages,
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: true });
+      let lastY;
+      let text = '';
+      content.items.forEach(item => {
+        text += (lastY === undefined || lastY === item.transform[5]) ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      });
+      pages.push(text);
+      return text;
+    }
+  });
+
+  const segments = pages
+    .map((text, index) => ({ location: `page ${index + 1}`, text }))
+    .filter(segment => segment.text.trim());
+  return { segments, pageCount: numpages };
+};
+
+const extractPdf = async (buffer, limits) => (await extractPdfPages(buffer, limits.maxPages)).segments;
+
+const extractors = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  xlsx: extractXlsx,
+  pptx: extractPptx
+};
+
+/**
+ * Extract text segments from a document buffer.
+ * `limits` are the archive limits ({ maxMembers, maxTotalBytes, maxMemberBytes })
+ * applied when unpacking Office files, and `maxPages` read from a PDF.
+ */
+const extractDocumentText = async (buffer, type, limits) => {
+  const extractor = extractors[type];
+  if (!extractor) {
+    throw new Error(`Unsupported document type: ${type}`);
+  }
+  if (type !== 'pdf' && archiveTypeOf('', buffer) !== 'zip') {
+    throw new Error(`Not a valid ${type} file`);
+  }
+  return extractor(buffer, limits);
+};
+
+module.exports = {
+  documentExtensions,
+  documentTypeOf,
+  extractDocumentText,
+  extractPdfPages
+};
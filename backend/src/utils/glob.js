@@ -0,0 +1,157 @@
+/**
+ * Glob Matching
+ * Shell-style patterns for bucket names and object keys:
+ * `*` matches within one path segment, `**` across segments (followed by a slash it also
+ * matches no segment at all, so `**` + `/test-data.json` matches a top-level file) and `?`
+ * one character other than `/`.
+ *
+ * Globs come from API requests, so they are not compiled to regular expressions, which
+ * backtrack exponentially on patterns like `**a**a**a**b`. The matcher steps through the
+ * value once, tracking every position in the glob it could be at, so a match costs at most
+ * the value's length times the glob's length.
+ */
+
+const maxGlobLength = 256;
+const maxGlobWildcards = 16;
+
+const cache = new Map();
+const maxCached = 1000;
+
+/**
+ * Compile a glob into steps. Each step consumes one character (`char`, `one`), repeats
+ * (`star`, `any`), or starts (`dir`) and continues (`dirBody`) an optional run of whole
+ * segments; `star`, `any` and `dir` may also match nothing. Runs of wildcards collapse.
+ */
+const compileGlob = (glob) => {
+  if (cache.has(glob)) {
+    return cache.get(glob);
+  }
+
+  const steps = [];
+  const last = () => steps[steps.length - 1];
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      while (glob[i + 1] === '*') {
+        i++;
+      }
+      if (glob[i + 1] === '/') {
+        i++;
+        // `**/` after a `**` adds nothing
+        if (!last() || (last().type !== 'any' && last().type !== 'dirBody')) {
+          steps.push({ type: 'dir' }, { type: 'dirBody' });
+        }
+      } else if (last() && last().type === 'star') {
+        last().type = 'any';
+      } else if (!last() || last().type !== 'any') {
+        steps.push({ type: 'any' });
+      }
+    } else if (char === '*') {
+      if (!last() || (last().type !== 'star' && last().type !== 'any')) {
+        steps.push({ type: 'star' });
+      }
+    } else if (char === '?') {
+      steps.push({ type: 'one' });
+    } else {
+      steps.push({ type: 'char', char });
+    }
+  }
+
+  if (cache.size >= maxCached) {
+    cache.clear();
+  }
+  cache.set(glob, steps);
+  return steps;
+};
+
+/**
+ * Test a value against a glob
+ */
+const matchGlob = (glob, value) => {
+  const steps = compileGlob(glob);
+  const end = steps.length;
+  let current = new Uint8Array(end + 1);
+  let next = new Uint8Array(end + 1);
+
+  // Add a state and every state reachable from it without consuming a character
+  const add = (states, at) => {
+    while (!states[at]) {
+      states[at] = 1;
+      if (at === end) {
+        return;
+      }
+      const type = steps[at].type;
+      if (type === 'dir') {
+        at += 2;
+      } else if (type === 'star' || type === 'any') {
+        at += 1;
+      } else {
+        return;
+      }
+    }
+  };
+
+  add(current, 0);
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    next.fill(0);
+    let alive = false;
+    for (let at = 0; at < end; at++) {
+      if (!current[at]) {
+        continue;
+      }
+      const step = steps[at];
+      switch (step.type) {
+        case 'char':
+          if (char === step.char) add(next, at + 1);
+          break;
+        case 'one':
+          if (char !== '/') add(next, at + 1);
+          break;
+        case 'star':
+          if (char !== '/') add(next, at);
+          break;
+        case 'any':
+          add(next, at);
+          break;
+        case 'dir':
+          add(next, at + 1);
+          if (char === '/') add(next, at + 2);
+          break;
+        case 'dirBody':
+          add(next, at);
+          if (char === '/') add(next, at + 1);
+          break;
+        default:
+          break;
+      }
+      alive = true;
+    }
+    if (!alive) {
+      return false;
+    }
+    [current, next] = [next, current];
+  }
+  return current[end] === 1;
+};
+
+/**
+ * Check a glob from a request; returns an error message, or null when it is acceptable
+ */
+const checkGlob = (glob) => {
+  if (glob.length > maxGlobLength) {
+    return `must be at most ${maxGlobLength} characters`;
+  }
+  const wildcards = (glob.match(/\*+|\?/g) || []).length;
+  if (wildcards > maxGlobWildcards) {
+    return `must have at most ${maxGlobWildcards} wildcards`;
+  }
+  return null;
+};
+
+module.exports = {
+  maxGlobLength,
+  maxGlobWildcards,
+  matchGlob,
+  checkGlob
+};
@@ -4,6 +4,7 @@
  */
 
 const winston = require('winston');
+const { redactLogText } = require('./redaction');
 
 // Define log levels
 const levels = {
@@ -44,8 +45,17 @@ const level = () => {
   return levelMap[logLevel] || (isDevelopment ? 'debug' : 'info');
 };
 
+// Mask credentials before they reach a log line
+const redact = winston.format((info) => {
+  if (typeof info.message === 'string') {
+    info.message = redactLogText(info.message);
+  }
+  return info;
+});
+
 // Define different log formats
 const format = winston.format.combine(
+  redact(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
   winston.format.colorize({ all: true }),
   winston.format.printf(
@@ -0,0 +1,417 @@
+/**
+ * Pattern Matcher
+ * The CPU-heavy part of detection: runs every pattern, its validator and context scoring,
+ * the detector plugins (see utils/detectors.js) and the entropy detector over a text. It
+ * returns per-pattern totals plus the first few raw occurrences (value, index, confidence)
+ * of each; positions, snippets and fingerprints are added by the scanner for those kept
+ * occurrences only.
+ *
+ * Everything here is plain data in, plain data out so it can run in a worker thread
+ * (see src/workers/matchWorker.js). Keep it free of logging and other process state.
+ */
+
+const { downgradeSeverity } = require('./patterns');
+const { runValidator } = require('./validators');
+const { findContextKeyword, scoreConfidence } = require('./context');
+const { entropyDetector, findHighEntropyStrings, isSecretName } = require('./entropy');
+const { SNIPPET_RADIUS } = require('./locations');
+const { execWithTimeout } = require('./regexSafety');
+const { runDetector } = require('./detectors');
+
+// Pattern fields the matcher needs; RegExp objects are sent as source and flags
+const patternFields = [
+  'key', 'label', 'severity', 'description', 'recommendation',
+  'validator', 'onInvalid', 'contextKeywords', 'baseConfidence'
+];
+
+/**
+ * Turn active patterns into plain objects that can be posted to a worker
+ */
+const serializePatterns = (patterns) => patterns.map(pattern => {
+  const plain = { source: pattern.regex.source };
+  patternFields.forEach(field => {
+    if (pattern[field] !== undefined) {
+      plain[field] = pattern[field];
+    }
+  });
+  return plain;
+});
+
+/**
+ * Rebuild patterns posted by serializePatterns
+ */
+const compilePatterns = (serialized) => serialized.map(({ source, ...pattern }) => ({
+  ...pattern,
+  regex: new RegExp(source, 'i')
+}));
+
+/**
+ * Where a match of detector `key` falls in a scan window (see findMatches): 'previous' when
+ * the previous window counted it, 'tail' when it is the rest of a match the previous window
+ * counted, 'next' when the next window sees it whole, otherwise 'here'. A match counted
+ * here that runs past `settings.maxEnd` is recorded in `spanning`.
+ */
+const placeInWindow = (settings, key, index, length, spanning) => {
+  const end = index + length;
+  if (end <= (settings.minEnd || 0)) {
+    return 'previous';
+  }
+  if (settings.skipBefore && index < (settings.skipBefore[key] || 0)) {
+    return 'tail';
+  }
+  if (end > (settings.maxEnd || Infinity)) {
+    if (index >= settings.nextStart) {
+      return 'next';
+    }
+    spanning[key] = Math.max(spanning[key] || 0, end);
+  }
+  return 'here';
+};
+
+/**
+ * Report high-entropy tokens not already reported by a regex pattern.
+ * Tokens assigned to a secret-like name keep the detector's severity; anonymous
+ * quoted tokens are reported one level lower.
+ */
+const findEntropyMatches = (text, settings, matchedValues, ranges, spanning) => {
+  const named = [];
+  const anonymous = [];
+
+  findHighEntropyStrings(text, settings.entropy).forEach(candidate => {
+    const placement = placeInWindow(settings, entropyDetector.key, candidate.index, candidate.value.length, spanning);
+    if (placement === 'previous' || matchedValues.has(candidate.value)) {
+      return;
+    }
+    ranges.push({ index: candidate.index, length: candidate.value.length });
+    if (placement !== 'here') {
+      return;
+    }
+
+    const keyword = isSecretName(candidate.name)
+      ? candidate.name.toLowerCase()
+      : findContextKeyword(entropyDetector, text, candidate.index, candidate.value.length, settings.contextWindowChars);
+    const occurrence = {
+      value: candidate.value,
+      index: candidate.index,
+      length: candidate.value.length,
+      keyword,
+      confidence: scoreConfidence({ pattern: entropyDetector, keyword }),
+      entropy: candidate.entropy,
+      charset: candidate.charset
+    };
+
+    (keyword ? named : anonymous).push(occurrence);
+  });
+
+  const base = {
+    pattern: entropyDetector.key,
+    label: entropyDetector.label,
+    description: entropyDetector.description,
+    recommendation: entropyDetector.recommendation
+  };
+  const entropyStats = (occurrences) => ({
+    maxEntropy: occurrences.reduce((max, o) => Math.max(max, o.entropy), 0),
+    charsets: [...new Set(occurrences.map(o => o.charset))]
+  });
+
+  const groups = [];
+  if (named.length > 0) {
+    groups.push({
+      ...base,
+      occurrences: named,
+      severity: entropyDetector.severity,
+      entropy: entropyStats(named)
+    });
+  }
+  if (anonymous.length > 0) {
+    groups.push({
+      ...base,
+      occurrences: anonymous,
+      severity: downgradeSeverity(entropyDetector.severity),
+      entropy: entropyStats(anonymous)
+    });
+  }
+  return groups;
+};
+
+/**
+ * Run the detector plugins in `settings.plugins` over a text, each under the time left of
+ * its per-object budget. A plugin cannot be interrupted while it runs, so one that uses up
+ * its budget is reported in `timedOut` and skipped for the rest of the object. A plugin
+ * that throws is reported in `failed` with the error message. Matches are grouped per
+ * plugin and severity.
+ */
+const findPluginMatches = (text, settings, matchedValues, ranges, { detectorTimes, timedOut, failed, spanning }) => {
+  const spent = settings.detectorSpent || {};
+  const skipped = settings.timedOutDetectors || [];
+  const groups = [];
+
+  (settings.plugins || []).forEach(plugin => {
+    if (skipped.includes(plugin.key)) {
+      return;
+    }
+
+    const started = Date.now();
+    let found;
+    try {
+      found = runDetector(plugin, text, settings.context || {});
+    } catch (error) {
+      failed[plugin.key] = error.message;
+      return;
+    } finally {
+      detectorTimes[plugin.key] = Date.now() - started;
+    }
+    if ((spent[plugin.key] || 0) + detectorTimes[plugin.key] >= settings.detectorBudgetMs) {
+      timedOut.push(plugin.key);
+    }
+
+    const bySeverity = new Map();
+    found.forEach(match => {
+      const placement = placeInWindow(settings, plugin.key, match.index, match.length, spanning);
+      if (placement === 'previous') {
+        return;
+      }
+      ranges.push({ index: match.index, length: match.length });
+      if (placement !== 'here') {
+        return;
+      }
+      matchedValues.add(match.value);
+
+      const keyword = match.keyword || findContextKeyword(plugin, text, match.index, match.length, settings.contextWindowChars);
+      const occurrence = {
+        value: match.value,
+        index: match.index,
+        length: match.length,
+        keyword,
+        confidence: match.confidence !== undefined ? match.confidence : scoreConfidence({ pattern: plugin, keyword })
+      };
+      if (!bySeverity.has(match.severity)) {
+        bySeverity.set(match.severity, []);
+      }
+      bySeverity.get(match.severity).push(occurrence);
+    });
+
+    bySeverity.forEach((occurrences, severity) => {
+      groups.push({
+        pattern: plugin.key,
+        label: plugin.label,
+        description: plugin.description,
+        recommendation: plugin.recommendation,
+        occurrences,
+        severity,
+        detectedBy: 'plugin'
+      });
+    });
+  });
+
+  return groups;
+};
+
+/**
+ * Count how often each value occurs, for the first `limit` distinct values
+ */
+const countDistinct = (occurrences, limit) => {
+  const counts = new Map();
+  occurrences.forEach(({ value }) => {
+    if (counts.has(value)) {
+      counts.set(value, counts.get(value) + 1);
+    } else if (counts.size < limit) {
+      counts.set(value, 1);
+    }
+  });
+  return [...counts].map(([value, count]) => ({ value, count }));
+};
+
+/**
+ * Collapse a group's occurrences into totals, keeping the first `limit` occurrences,
+ * the first three values (as samples) and the first `distinctLimit` distinct values with
+ * their counts in full
+ */
+const collapseOccurrences = (occurrences, limit, distinctLimit = Infinity) => ({
+  count: occurrences.length,
+  samples: occurrences.slice(0, 3).map(o => o.value),
+  distinct: countDistinct(occurrences, distinctLimit),
+  confidence: occurrences.reduce((max, o) => Math.max(max, o.confidence), 0),
+  contextKeywords: [...new Set(occurrences.map(o => o.keyword).filter(Boolean))].slice(0, 5),
+  occurrences: occurrences.slice(0, limit)
+});
+
+/**
+ * Keep only the match ranges that can show up in a snippet around one of the kept
+ * occurrences, so a text with thousands of matches does not ship them all back
+ */
+const rangesNear = (ranges, occurrences) => {
+  const windows = occurrences
+    .map(o => ({ start: o.index - SNIPPET_RADIUS, end: o.index + o.length + SNIPPET_RADIUS }))
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window.start <= last.end) {
+        last.end = Math.max(last.end, window.end);
+      } else {
+        merged.push(window);
+      }
+      return merged;
+    }, []);
+
+  let current = 0;
+  return [...ranges]
+    .sort((a, b) => a.index - b.index)
+    .filter(range => {
+      while (current < windows.length && windows[current].end <= range.index) {
+        current++;
+      }
+      return current < windows.length && windows[current].start < range.index + range.length;
+    });
+};
+
+/**
+ * Find every match in a text.
+ * Matches ending at or before `settings.minEnd` are ignored (the overlap with the previous
+ * scan window), and so are matches ending after `settings.maxEnd` that start at or after
+ * `settings.nextStart`, which the next window sees whole. A match running past `maxEnd`
+ * that starts earlier is counted here, and the end of the furthest one per detector is
+ * returned in `spanning`; the next window skips matches of that detector starting before
+ * it (`settings.skipBefore`), which are its tail. Skipped matches are still masked in
+ * snippets. Returns { groups, ranges, dropped }: one group per pattern and severity
+ * with its totals, first `settings.maxOccurrences` occurrences and the count of each of its
+ * first `settings.maxDistinctValues` distinct values, the ranges of matches
+ * near those occurrences (for masking snippets, including matches dropped by validation)
+ * and the number of matches each validator dropped. With `settings.withIndexes` each group
+ * also lists the index of every occurrence, for callers that map offsets to locations.
+ *
+ * Each regex detector runs under the time left of its per-object budget
+ * (`settings.detectorBudgetMs` less `settings.detectorSpent[key]`); detectors listed in
+ * `settings.timedOutDetectors` are skipped. The result also carries `detectorTimes`, the
+ * milliseconds each detector took here, `timedOut`, the detectors aborted here, and
+ * `failed`, the error of each detector plugin that threw here. Plugins get
+ * `settings.context`, the object the text came from.
+ */
+const findMatches = (text, patterns, settings) => {
+  const spent = settings.detectorSpent || {};
+  const skipped = settings.timedOutDetectors || [];
+  const groups = [];
+  const ranges = [];
+  const dropped = {};
+  const detectorTimes = {};
+  const timedOut = [];
+  const failed = {};
+  const spanning = {};
+  const matchedValues = new Set();
+
+  patterns.forEach(pattern => {
+    if (skipped.includes(pattern.key)) {
+      return;
+    }
+
+    const started = Date.now();
+    let matches;
+    try {
+      matches = execWithTimeout(pattern.regex.source, 'gi', text, settings.detectorBudgetMs - (spent[pattern.key] || 0), Infinity);
+    } catch (error) {
+      if (!error.timedOut) {
+        throw error;
+      }
+      detectorTimes[pattern.key] = Date.now() - started;
+      timedOut.push(pattern.key);
+      return;
+    }
+
+    const found = [];
+    const failed = [];
+    let droppedCount = 0;
+
+    matches.forEach(({ index, value }) => {
+      const placement = placeInWindow(settings, pattern.key, index, value.length, spanning);
+      if (placement === 'previous') {
+        return;
+      }
+      ranges.push({ index, length: value.length });
+      if (placement !== 'here') {
+        return;
+      }
+
+      const outcome = pattern.validator ? runValidator(pattern.validator, value) : null;
+      if (outcome && !outcome.valid && (pattern.onInvalid !== 'downgrade' || outcome.drop)) {
+        droppedCount++;
+        return;
+      }
+
+      const keyword = findContextKeyword(pattern, text, index, value.length, settings.contextWindowChars);
+      const occurrence = {
+        value,
+        index,
+        length: value.length,
+        keyword,
+        confidence: scoreConfidence({ pattern, keyword, validation: outcome }),
+        reason: outcome && outcome.reason
+      };
+
+      matchedValues.add(value);
+      if (!outcome || outcome.valid) {
+        found.push(occurrence);
+      } else {
+        failed.push(occurrence);
+      }
+    });
+
+    detectorTimes[pattern.key] = Date.now() - started;
+    if (droppedCount > 0) {
+      dropped[pattern.key] = droppedCount;
+    }
+
+    const base = {
+      pattern: pattern.key,
+      label: pattern.label,
+      description: pattern.description,
+      recommendation: pattern.recommendation
+    };
+
+    if (found.length > 0) {
+      groups.push({
+        ...base,
+        occurrences: found,
+        severity: pattern.severity,
+        ...(pattern.validator && {
+          validation: { validator: pattern.validator, valid: true, dropped: droppedCount }
+        })
+      });
+    }
+
+    if (failed.length > 0) {
+      groups.push({
+        ...base,
+        occurrences: failed,
+        severity: downgradeSeverity(pattern.severity),
+        validation: {
+          validator: pattern.validator,
+          valid: false,
+          reason: failed[0].reason,
+          downgradedFrom: pattern.severity
+        }
+      });
+    }
+  });
+
+  groups.push(...findPluginMatches(text, settings, matchedValues, ranges, { detectorTimes, timedOut, failed, spanning }));
+
+  if (settings.entropy && settings.entropy.enabled) {
+    groups.push(...findEntropyMatches(text, settings, matchedValues, ranges, spanning));
+  }
+
+  const collapsed = groups.map(({ occurrences, ...group }) => ({
+    ...group,
+    ...collapseOccurrences(occurrences, settings.maxOccurrences, settings.maxDistinctValues),
+    ...(settings.withIndexes && { indexes: occurrences.map(o => o.index) })
+  }));
+  const kept = collapsed.map(group => group.occurrences).flat();
+
+  return { groups: collapsed, ranges: rangesNear(ranges, kept), dropped, detectorTimes, timedOut, failed, spanning };
+};
+
+module.exports = {
+  serializePatterns,
+  compilePatterns,
+  collapseOccurrences,
+  findMatches
+};
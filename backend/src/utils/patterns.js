@@ -1,6 +1,19 @@
 /**
  * Sensitive Data Pattern Detectors
  * Regex patterns for identifying sensitive information in text content
+ *
+ * A pattern may name a `validator` from utils/validators.js that runs after the regex
+ * matches. `onInvalid` decides what happens to matches that fail it: 'drop' discards
+ * them, 'downgrade' keeps them one severity level lower (unless the validator says the
+ * value is something else, see utils/validators.js).
+ *
+ * `contextKeywords` are words that, found near a match, raise its confidence score; a
+ * match with none of them nearby scores lower. `baseConfidence` (default 0.5) is the
+ * starting score for patterns whose regex alone is already specific.
+ *
+ * `fieldNames` is matched against snake_cased JSON/YAML keys, CSV column headers and
+ * dotenv variable names; a field it matches is reported even when its value fails the
+ * regex or validator (e.g. a malformed number in an `aadhaar_no` column).
  */
 
 const patterns = [
@@ -11,7 +24,11 @@ const patterns = [
     severity: 'High',
     regex: /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/,
     description: 'Indian Aadhaar identification number',
-    recommendation: 'Remove or encrypt Aadhaar numbers. Use hashing for verification purposes.'
+    recommendation: 'Remove or encrypt Aadhaar numbers. Use hashing for verification purposes.',
+    validator: 'aadhaar',
+    onInvalid: 'drop',
+    contextKeywords: ['aadhaar', 'aadhar', 'uid', 'uidai'],
+    fieldNames: /aadha?ar|(?:^|_)uid(?:ai)?(?:_|$)/
   },
 
   // PAN Card (10 alphanumeric characters)
@@ -21,7 +38,11 @@ const patterns = [
     severity: 'High',
     regex: /\b[A-Z]{5}[0-9]{4}[A-Z]{1}\b/,
     description: 'Indian Permanent Account Number',
-    recommendation: 'Remove or encrypt PAN numbers. Use hashing for verification purposes.'
+    recommendation: 'Remove or encrypt PAN numbers. Use hashing for verification purposes.',
+    validator: 'pan',
+    onInvalid: 'drop',
+    contextKeywords: ['pan', 'permanent account', 'income tax'],
+    fieldNames: /(?:^|_)pan(?:_?(?:no|num|number|card|id))?(?:_|$)/
   },
 
   // Credit Card Numbers (13-19 digits, Luhn algorithm compatible)
@@ -31,7 +52,11 @@ const patterns = [
     severity: 'High',
     regex: /\b(?:4[0-9]{12}(?:[0-9]{3})?|5[1-5][0-9]{14}|3[47][0-9]{13}|3[0-9]{13}|6(?:011|5[0-9]{2})[0-9]{12}|(?:2131|1800|35\d{3})\d{11})\b/,
     description: 'Credit card number (Visa, MasterCard, Amex, Discover, JCB, Diners Club)',
-    recommendation: 'Never store credit card numbers in plain text. Use PCI-compliant tokenization.'
+    recommendation: 'Never store credit card numbers in plain text. Use PCI-compliant tokenization.',
+    validator: 'luhn',
+    onInvalid: 'drop',
+    contextKeywords: ['card', 'credit', 'debit', 'visa', 'mastercard', 'amex', 'cvv', 'expiry'],
+    fieldNames: /credit_?card|card_?(?:no|num|number)|(?:^|_)ccn?(?:_?num)?(?:_|$)/
   },
 
   // Bank Account Numbers (10-18 digits)
@@ -41,7 +66,11 @@ const patterns = [
     severity: 'Medium',
     regex: /\b\d{10,18}\b/,
     description: 'Bank account number',
-    recommendation: 'Encrypt bank account numbers and implement access controls.'
+    recommendation: 'Encrypt bank account numbers and implement access controls.',
+    validator: 'bank_account',
+    onInvalid: 'downgrade',
+    contextKeywords: ['account', 'acct', 'a/c', 'bank', 'iban'],
+    fieldNames: /bank_?account|acc(?:oun)?t_?(?:no|num|number)|(?:^|_)iban(?:_|$)/
   },
 
   // Indian Bank Account Numbers (specific format)
@@ -51,7 +80,10 @@ const patterns = [
     severity: 'Medium',
     regex: /\b\d{9,18}\b/,
     description: 'Indian bank account number',
-    recommendation: 'Encrypt bank account numbers and implement access controls.'
+    recommendation: 'Encrypt bank account numbers and implement access controls.',
+    validator: 'bank_account',
+    onInvalid: 'downgrade',
+    contextKeywords: ['account', 'acct', 'a/c', 'bank', 'ifsc']
   },
 
   // IFSC Code (11 characters: 4 letters + 7 alphanumeric)
@@ -61,7 +93,9 @@ const patterns = [
     severity: 'Low',
     regex: /\b[A-Z]{4}0[A-Z0-9]{6}\b/,
     description: 'Indian Financial System Code',
-    recommendation: 'IFSC codes are public information, but ensure they\'re not stored with sensitive account details.'
+    recommendation: 'IFSC codes are public information, but ensure they\'re not stored with sensitive account details.',
+    contextKeywords: ['ifsc', 'branch', 'bank'],
+    fieldNames: /ifsc/
   },
 
   // UPI ID (username@provider format)
@@ -71,7 +105,9 @@ const patterns = [
     severity: 'Low',
     regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/,
     description: 'Unified Payment Interface identifier',
-    recommendation: 'UPI IDs are generally public, but avoid storing with sensitive financial data.'
+    recommendation: 'UPI IDs are generally public, but avoid storing with sensitive financial data.',
+    contextKeywords: ['upi', 'vpa'],
+    fieldNames: /(?:^|_)(?:upi|vpa)(?:_?id)?(?:_|$)/
   },
 
   // Email Addresses
@@ -81,7 +117,10 @@ const patterns = [
     severity: 'Low',
     regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/,
     description: 'Email address',
-    recommendation: 'Email addresses are generally low risk, but consider privacy implications in sensitive contexts.'
+    recommendation: 'Email addresses are generally low risk, but consider privacy implications in sensitive contexts.',
+    contextKeywords: ['email', 'e-mail', 'mail', 'contact'],
+    baseConfidence: 0.8,
+    fieldNames: /e_?mail/
   },
 
   // AWS Access Key ID (20 characters)
@@ -91,7 +130,10 @@ const patterns = [
     severity: 'High',
     regex: /\bAKIA[0-9A-Z]{16}\b/,
     description: 'AWS Access Key Identifier',
-    recommendation: 'Immediately rotate compromised access keys. Use IAM roles instead of long-term access keys.'
+    recommendation: 'Immediately rotate compromised access keys. Use IAM roles instead of long-term access keys.',
+    contextKeywords: ['aws', 'access_key', 'access key', 'key_id'],
+    baseConfidence: 0.9,
+    fieldNames: /aws_?access_?key/
   },
 
   // AWS Secret Access Key (40 characters)
@@ -101,7 +143,11 @@ const patterns = [
     severity: 'High',
     regex: /\b[0-9a-zA-Z/+]{40}\b/,
     description: 'AWS Secret Access Key',
-    recommendation: 'Immediately rotate compromised secret keys. Use IAM roles instead of long-term access keys.'
+    recommendation: 'Immediately rotate compromised secret keys. Use IAM roles instead of long-term access keys.',
+    validator: 'high_entropy',
+    onInvalid: 'drop',
+    contextKeywords: ['aws', 'secret', 'secret_key', 'secret_access_key'],
+    fieldNames: /aws_?secret/
   },
 
   // Database Connection Strings
@@ -111,7 +157,10 @@ const patterns = [
     severity: 'High',
     regex: /\b(?:jdbc:|mongodb:|postgresql:|mysql:|redis:|sqlserver:)[^\s]+/i,
     description: 'Database connection string with credentials',
-    recommendation: 'Remove hardcoded database credentials. Use environment variables or secret management services.'
+    recommendation: 'Remove hardcoded database credentials. Use environment variables or secret management services.',
+    contextKeywords: ['database', 'db', 'connection', 'dsn', 'jdbc'],
+    baseConfidence: 0.8,
+    fieldNames: /(?:database|db)_?(?:url|uri|dsn|connection)|connection_?string/
   },
 
   // Strong Passwords (8+ chars, mixed case, numbers, symbols)
@@ -121,7 +170,9 @@ const patterns = [
     severity: 'Medium',
     regex: /\b(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}\b/,
     description: 'Strong password pattern',
-    recommendation: 'Avoid storing passwords in plain text. Use secure hashing algorithms like bcrypt.'
+    recommendation: 'Avoid storing passwords in plain text. Use secure hashing algorithms like bcrypt.',
+    contextKeywords: ['password', 'passwd', 'pwd', 'pass=', 'password=', 'secret'],
+    fieldNames: /passw(?:or)?d|(?:^|_)(?:pwd|pass)(?:_|$)/
   },
 
   // API Keys (various formats)
@@ -131,7 +182,10 @@ const patterns = [
     severity: 'High',
     regex: /\b(?:sk_|pk_|key_|api_|token_)[A-Za-z0-9]{20,}\b/i,
     description: 'API key or token',
-    recommendation: 'Rotate compromised API keys immediately. Store in environment variables or secret management services.'
+    recommendation: 'Rotate compromised API keys immediately. Store in environment variables or secret management services.',
+    contextKeywords: ['api', 'key', 'token', 'secret', 'bearer'],
+    baseConfidence: 0.7,
+    fieldNames: /api_?key|(?:access|auth|api)_?token|client_?secret/
   },
 
   // Private Keys (RSA, DSA, EC)
@@ -141,7 +195,8 @@ const patterns = [
     severity: 'High',
     regex: /-----BEGIN\s+(?:RSA\s+)?PRIVATE\s+KEY-----[\s\S]*?-----END\s+(?:RSA\s+)?PRIVATE\s+KEY-----/,
     description: 'Private cryptographic key',
-    recommendation: 'Never commit private keys to version control. Use secure key management services.'
+    recommendation: 'Never commit private keys to version control. Use secure key management services.',
+    baseConfidence: 0.95
   },
 
   // Social Security Numbers (US format)
@@ -151,7 +206,11 @@ const patterns = [
     severity: 'High',
     regex: /\b\d{3}-\d{2}-\d{4}\b/,
     description: 'US Social Security Number',
-    recommendation: 'Remove or encrypt SSNs. Use hashing for verification purposes.'
+    recommendation: 'Remove or encrypt SSNs. Use hashing for verification purposes.',
+    validator: 'ssn',
+    onInvalid: 'drop',
+    contextKeywords: ['ssn', 'social security'],
+    fieldNames: /(?:^|_)ssn(?:_|$)|social_?security/
   },
 
   // Phone Numbers (various formats)
@@ -161,42 +220,38 @@ const patterns = [
     severity: 'Medium',
     regex: /\b\d{10}\b/,
     description: 'Phone number in various formats',
-    recommendation: 'Consider privacy implications. Use hashing for verification if needed.'
-  },
-
-  // Test Pattern for Debugging
-  {
-    key: 'test_pattern',
-    label: 'Test Pattern',
-    severity: 'Low',
-    regex: /\b(?:alice|bob|rohit|priya|amit|neha|ajay)\b/i,
-    description: 'Test pattern for debugging',
-    recommendation: 'This is a test pattern to verify scanner functionality.'
-  },
-
-  // Simple Test Pattern - Should definitely match
-  {
-    key: 'simple_test',
-    label: 'Simple Test Pattern',
-    severity: 'Low',
-    regex: /alice/i,
-    description: 'Very simple test pattern',
-    recommendation: 'This should definitely match if scanner is working.'
+    recommendation: 'Consider privacy implications. Use hashing for verification if needed.',
+    contextKeywords: ['phone', 'mobile', 'mob', 'tel', 'cell', 'contact', 'whatsapp'],
+    fieldNames: /phone|mobile|(?:^|_)(?:mob|tel)(?:_?no)?(?:_|$)/
   }
 ];
 
 // Severity weights for scoring
 const severityWeights = {
+  'Critical': 25,
   'High': 10,
   'Medium': 5,
   'Low': 1
 };
 
+// Severity levels from most to least severe (used when downgrading matches)
+const severityOrder = ['Critical', 'High', 'Medium', 'Low'];
+
+/**
+ * Lower a severity by one level (Low stays Low)
+ */
+const downgradeSeverity = (severity) => {
+  const index = severityOrder.indexOf(severity);
+  return severityOrder[Math.min(index + 1, severityOrder.length - 1)] || severity;
+};
+
 // Binary file extensions to skip during scanning
+// (.zip, .gz, .tgz and .tar are opened by utils/archives.js; .pdf, .docx, .xlsx and
+// .pptx are read by utils/extractors.js)
 const binaryExtensions = [
   '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff', '.svg',
-  '.zip', '.rar', '.7z', '.tar', '.gz', '.bz2',
-  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
+  '.rar', '.7z', '.bz2',
+  '.doc', '.xls', '.ppt',
   '.mp3', '.mp4', '.avi', '.mov', '.wmv', '.flv',
   '.exe', '.dll', '.so', '.dylib', '.bin',
   '.iso', '.img', '.vmdk', '.vhd', '.ova'
@@ -205,5 +260,7 @@ const binaryExtensions = [
 module.exports = {
   patterns,
   severityWeights,
+  severityOrder,
+  downgradeSeverity,
   binaryExtensions
 };
@@ -0,0 +1,107 @@
+/**
+ * Redaction Policy
+ * Decides how sensitive values appear anywhere outside the scanner itself: findings,
+ * snippets, the PDF report and log output. Values are either masked
+ * (AKIA************MPLE) or replaced by a salted hash fingerprint (fp_3f9a...).
+ */
+
+const crypto = require('crypto');
+const { patterns } = require('./patterns');
+const { maskValue } = require('./locations');
+
+const mode = process.env.REDACTION_MODE === 'hash' ? 'hash' : 'mask';
+
+// Without a configured salt, fingerprints are only stable for the life of the process
+const saltConfigured = !!process.env.REDACTION_SALT;
+const salt = process.env.REDACTION_SALT || crypto.randomBytes(32).toString('hex');
+
+// Raw values are only kept in memory, for admin reveal, when explicitly enabled
+const allowReveal = process.env.REDACTION_ALLOW_REVEAL === 'true';
+const maxRevealable = parseInt(process.env.REDACTION_MAX_REVEALABLE, 10) || 10000;
+const revealable = new Map();
+
+/**
+ * Salted HMAC-SHA256 fingerprint of a value; equal values share a fingerprint
+ */
+const fingerprint = (value) => `fp_${crypto.createHmac('sha256', salt).update(String(value)).digest('hex').slice(0, 16)}`;
+
+/**
+ * Redact a single value according to the configured mode
+ */
+const redactValue = (value) => (mode === 'hash' ? fingerprint(value) : maskValue(value));
+
+/**
+ * Fingerprint a value and, when reveal is enabled, keep the raw value so an
+ * admin can retrieve it later
+ */
+const rememberValue = (value) => {
+  const id = fingerprint(value);
+  if (allowReveal && !revealable.has(id) && revealable.size < maxRevealable) {
+    revealable.set(id, String(value));
+  }
+  return id;
+};
+
+/**
+ * Look up a remembered value by fingerprint; null when unknown or reveal is disabled
+ */
+const revealValue = (id) => (revealable.has(id) ? revealable.get(id) : null);
+
+/**
+ * Forget every remembered value (called when the scan results are cleared)
+ */
+const clearRevealable = () => {
+  revealable.clear();
+};
+
+/**
+ * Forget the remembered values whose fingerprint is not in `ids` (called when a scan
+ * replaces the old results)
+ */
+const retainRevealable = (ids) => {
+  [...revealable.keys()].forEach(id => {
+    if (!ids.has(id)) {
+      revealable.delete(id);
+    }
+  });
+};
+
+/**
+ * Whether reveal could return more of these fingerprints' values if they were remembered
+ * again: reveal is enabled, one of them is not held and there is room to hold it
+ */
+const missingRevealable = (ids) => allowReveal && revealable.size < maxRevealable && ids.some(id => !revealable.has(id));
+
+// Log lines are masked for credentials only. These patterns stay linear on any input, while
+// running every detector on each line would cost event loop time and mangle ordinary
+// 10-digit ids and counts as phone or account numbers.
+const logPatternKeys = ['aws_access_key', 'aws_secret_key', 'api_key', 'private_key', 'db_connection'];
+const logPatterns = patterns
+  .filter(pattern => logPatternKeys.includes(pattern.key))
+  .map(pattern => new RegExp(pattern.regex.source, 'gi'));
+const maxLogChars = parseInt(process.env.LOG_MAX_MESSAGE_CHARS, 10) || 8192;
+
+/**
+ * Mask credentials in a log message, cutting it to LOG_MAX_MESSAGE_CHARS first
+ */
+const redactLogText = (text) => {
+  let message = String(text);
+  if (message.length > maxLogChars) {
+    message = `${message.slice(0, maxLogChars)}… [${message.length - maxLogChars} more characters]`;
+  }
+  return logPatterns.reduce((result, regex) => result.replace(regex, match => redactValue(match)), message);
+};
+
+module.exports = {
+  mode,
+  saltConfigured,
+  allowReveal,
+  fingerprint,
+  redactValue,
+  redactLogText,
+  rememberValue,
+  revealValue,
+  clearRevealable,
+  retainRevealable,
+  missingRevealable
+};
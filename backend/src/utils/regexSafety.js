@@ -0,0 +1,173 @@
+/**
+ * Regex Safety
+ * Compiles user-supplied rule regexes and runs them in a sandbox with a time limit, so an
+ * invalid or catastrophically backtracking expression is rejected instead of hanging a scan.
+ * The scanner runs every detector through the same sandbox under a per-object time budget.
+ */
+
+const vm = require('vm');
+
+const probeTimeoutMs = () => parseInt(process.env.RULE_REGEX_TIMEOUT_MS, 10) || 100;
+
+// Hostile inputs: long runs of common character classes ending in a character that
+// forces the engine to backtrack, e.g. (a+)+$ against "aaaa...!"
+const probeInputs = ['a', 'A', '0', ' ', '_', '-', '.', '@', 'aA0', 'a ', '0-']
+  .map(run => `${run.repeat(Math.ceil(5000 / run.length))}\u0000!`);
+
+// One sandbox per thread, reused between calls: creating a context costs far more than running in one
+const sandbox = vm.createContext({});
+const execScript = new vm.Script(`{
+  const regex = new RegExp(source, flags);
+  let match;
+  while (matches.length < maxMatches && (match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) { regex.lastIndex++; continue; }
+    matches.push({ index: match.index, value: match[0] });
+  }
+}`);
+
+/**
+ * Run `regex` over `text` in a sandbox, collecting { index, value } for every match.
+ * Throws an error whose `timedOut` is true when the time limit is exceeded.
+ */
+const execWithTimeout = (source, flags, text, timeoutMs = probeTimeoutMs(), maxMatches = 1000) => {
+  const context = Object.assign(sandbox, { source, flags, text, maxMatches, matches: [] });
+  try {
+    execScript.runInContext(context, { timeout: Math.max(1, Math.ceil(timeoutMs)) });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      const timeout = new Error(`Regex did not finish within ${timeoutMs}ms`);
+      timeout.timedOut = true;
+      throw timeout;
+    }
+    throw error;
+  } finally {
+    // Do not keep the last scanned text alive in the shared sandbox
+    context.text = null;
+  }
+  // Copy out of the sandbox so callers get ordinary arrays
+  return context.matches.map(match => ({ index: match.index, value: match.value }));
+};
+
+/**
+ * Read a quantifier at `index` in a regex source: *, +, ?, {n}, {n,} or {n,m}, optionally lazy.
+ * Returns { length, repeats, unbounded } or null when there is none.
+ */
+const readQuantifier = (source, index) => {
+  const char = source[index];
+  let quantifier = null;
+  if (char === '*' || char === '+') {
+    quantifier = { length: 1, repeats: true, unbounded: true };
+  } else if (char === '?') {
+    quantifier = { length: 1, repeats: false, unbounded: false };
+  } else if (char === '{') {
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (braces) {
+      const max = braces[2] ? (braces[3] === '' ? Infinity : parseInt(braces[3], 10)) : parseInt(braces[1], 10);
+      quantifier = { length: braces[0].length, repeats: max > 1, unbounded: max === Infinity };
+    }
+  }
+  if (quantifier && source[index + quantifier.length] === '?') {
+    quantifier.length++;
+  }
+  return quantifier;
+};
+
+/**
+ * Find a repeated group that itself contains an unbounded quantifier, e.g. (a+)+,
+ * (\w+\s?)* or (?:x*){2,9}: the shape behind most catastrophic backtracking.
+ * Returns the offending group's source, or null.
+ */
+const findNestedQuantifier = (source) => {
+  const stack = [{ start: 0, unbounded: false }];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    let atomUnbounded = false;
+    let group = null;
+
+    if (char === '\\') {
+      index += 2;
+    } else if (char === '[') {
+      // Skip the character class; a ] right after [ or [^ is a literal
+      index += source[index + 1] === '^' ? 2 : 1;
+      if (source[index] === ']') index++;
+      while (index < source.length && source[index] !== ']') {
+        index += source[index] === '\\' ? 2 : 1;
+      }
+      index++;
+    } else if (char === '(') {
+      stack.push({ start: index, unbounded: false });
+      index++;
+      continue;
+    } else if (char === ')' && stack.length > 1) {
+      group = stack.pop();
+      atomUnbounded = group.unbounded;
+      index++;
+    } else {
+      index++;
+    }
+
+    const quantifier = readQuantifier(source, index);
+    if (quantifier) {
+      if (group && group.unbounded && quantifier.repeats) {
+        return source.slice(group.start, index + quantifier.length);
+      }
+      atomUnbounded = atomUnbounded || quantifier.unbounded;
+      index += quantifier.length;
+    }
+    if (atomUnbounded) {
+      stack[stack.length - 1].unbounded = true;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check that a regex source compiles, does not match the empty string everywhere and
+ * finishes quickly on hostile input. Returns { valid: true } or { valid: false, error }.
+ */
+const checkRegex = (source) => {
+  if (typeof source !== 'string' || source.length === 0) {
+    return { valid: false, error: 'regex must be a non-empty string' };
+  }
+  if (source.length > 1000) {
+    return { valid: false, error: 'regex must be at most 1000 characters' };
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(source, 'gi');
+  } catch (error) {
+    return { valid: false, error: `Invalid regex: ${error.message}` };
+  }
+  if (regex.test('')) {
+    return { valid: false, error: 'regex must not match the empty string' };
+  }
+
+  const nested = findNestedQuantifier(source);
+  if (nested) {
+    return { valid: false, error: `regex has a nested quantifier (${nested}), which can backtrack catastrophically` };
+  }
+
+  for (const input of probeInputs) {
+    try {
+      execWithTimeout(source, 'gi', input);
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.timedOut
+          ? 'regex is too slow on adversarial input (catastrophic backtracking)'
+          : `Invalid regex: ${error.message}`
+      };
+    }
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  checkRegex,
+  execWithTimeout,
+  findNestedQuantifier
+};
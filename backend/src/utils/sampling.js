@@ -0,0 +1,358 @@
+/**
+ * Sampling
+ * Stratified random sampling of objects for buckets too large to scan in full, and
+ * estimates of how widespread each detector is across the sampled population.
+ *
+ * Objects are grouped into strata by bucket, key prefix (the first `prefixDepth` path
+ * segments) and age band (LastModified against `ageBandDays`). Each stratum contributes
+ * `percent` of its objects (at least one) or up to `count` of them. Past `maxStrata` strata,
+ * objects of new strata share one catch-all stratum. Selection ranks every
+ * object by a hash of the seed and its key, so the same seed picks the same sample again
+ * and the listing can be streamed without holding every key in memory.
+ */
+
+const crypto = require('crypto');
+const { objectPath } = require('./versions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const defaultAgeBandDays = [7, 30, 90, 365];
+const zScores = { 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+const sampleFields = ['percent', 'count', 'prefixDepth', 'ageBandDays', 'seed', 'confidence'];
+
+/**
+ * Validate sampling options; returns { sample, errors }. `sample` is null when sampling was
+ * not requested, otherwise the options with defaults filled in (a random seed if none).
+ */
+const normalizeSample = (input) => {
+  const errors = [];
+
+  if (input === undefined || input === null || input === false) {
+    return { sample: null, errors };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { sample: null, errors: ['sample must be an object'] };
+  }
+
+  Object.keys(input).forEach(field => {
+    if (!sampleFields.includes(field)) {
+      errors.push(`unknown sample field "${field}"`);
+    }
+  });
+
+  const sample = {};
+  const hasPercent = input.percent !== undefined && input.percent !== null;
+  const hasCount = input.count !== undefined && input.count !== null;
+  if (hasPercent === hasCount) {
+    errors.push('sample needs either percent or count');
+  } else if (hasPercent) {
+    if (typeof input.percent !== 'number' || !(input.percent > 0 && input.percent <= 100)) {
+      errors.push('percent must be a number above 0 and at most 100');
+    } else {
+      sample.percent = input.percent;
+    }
+  } else if (!Number.isInteger(input.count) || input.count < 1 || input.count > 10000) {
+    errors.push('count must be a whole number from 1 to 10000');
+  } else {
+    sample.count = input.count;
+  }
+
+  sample.prefixDepth = 1;
+  if (input.prefixDepth !== undefined && input.prefixDepth !== null) {
+    if (!Number.isInteger(input.prefixDepth) || input.prefixDepth < 0 || input.prefixDepth > 10) {
+      errors.push('prefixDepth must be a whole number from 0 to 10');
+    } else {
+      sample.prefixDepth = input.prefixDepth;
+    }
+  }
+
+  sample.ageBandDays = defaultAgeBandDays;
+  if (input.ageBandDays !== undefined && input.ageBandDays !== null) {
+    const bands = input.ageBandDays;
+    if (!Array.isArray(bands) || bands.length > 10 ||
+        bands.some((days, i) => typeof days !== 'number' || !(days > 0) || (i > 0 && days <= bands[i - 1]))) {
+      errors.push('ageBandDays must be at most 10 increasing positive numbers of days');
+    } else {
+      sample.ageBandDays = bands;
+    }
+  }
+
+  if (input.seed !== undefined && input.seed !== null) {
+    if (typeof input.seed !== 'string' || !input.seed.trim() || input.seed.length > 128) {
+      errors.push('seed must be a non-empty string of at most 128 characters');
+    } else {
+      sample.seed = input.seed.trim();
+    }
+  }
+  sample.seed = sample.seed || crypto.randomBytes(8).toString('hex');
+
+  sample.confidence = 0.95;
+  if (input.confidence !== undefined && input.confidence !== null) {
+    if (!zScores[input.confidence]) {
+      errors.push(`confidence must be one of ${Object.keys(zScores).join(', ')}`);
+    } else {
+      sample.confidence = input.confidence;
+    }
+  }
+
+  return { sample, errors };
+};
+
+/**
+ * Key prefix made of the first `depth` path segments of a key, e.g. "logs/" for
+ * "logs/2024/app.log" at depth 1; objects above that depth keep their own folder
+ */
+const prefixOf = (key, depth) => {
+  const folders = key.split('/').slice(0, -1).slice(0, depth);
+  return folders.length > 0 ? `${folders.join('/')}/` : '';
+};
+
+/**
+ * Age band of an object, e.g. "7-30d" or "365d+"; "unknown" without a LastModified
+ */
+const ageBandOf = (lastModified, ageBandDays, now) => {
+  if (!lastModified) {
+    return 'unknown';
+  }
+  const ageDays = (now.getTime() - new Date(lastModified).getTime()) / DAY_MS;
+  let lower = 0;
+  for (const days of ageBandDays) {
+    if (ageDays < days) {
+      return `${lower}-${days}d`;
+    }
+    lower = days;
+  }
+  return `${lower}d+`;
+};
+
+/**
+ * Add `entry` to `heap`, a max-heap on rank holding at most `size` entries; when full, the
+ * entry replaces the highest rank if it ranks lower
+ */
+const keepLowest = (heap, entry, size) => {
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  };
+
+  if (heap.length < size) {
+    heap.push(entry);
+    let at = heap.length - 1;
+    while (at > 0 && heap[(at - 1) >> 1].rank < heap[at].rank) {
+      swap(at, (at - 1) >> 1);
+      at = (at - 1) >> 1;
+    }
+    return;
+  }
+  if (size === 0 || entry.rank >= heap[0].rank) {
+    return;
+  }
+  heap[0] = entry;
+  let at = 0;
+  for (;;) {
+    const left = 2 * at + 1;
+    const right = left + 1;
+    let largest = at;
+    if (left < heap.length && heap[left].rank > heap[largest].rank) {
+      largest = left;
+    }
+    if (right < heap.length && heap[right].rank > heap[largest].rank) {
+      largest = right;
+    }
+    if (largest === at) {
+      return;
+    }
+    swap(at, largest);
+    at = largest;
+  }
+};
+
+/**
+ * Create a sampler for one scan. `offer(bucket, object)` each listed object, then
+ * `select()` returns { strata, buckets, objectStrata }: every stratum with its
+ * population and sample size, the chosen objects per bucket, and the stratum index of each
+ * chosen object keyed by its path (see utils/versions.js). When more than `limit` objects were chosen each
+ * stratum is cut back in proportion, keeping its lowest-ranked objects. No stratum can keep
+ * more than `limit`, so only that many of its lowest ranks are held while the listing streams.
+ * The catch-all stratum is reported with `overflow: true` and no bucket, prefix or age.
+ */
+const createSampler = (sample, { limit = Infinity, maxStrata = Infinity, now = new Date() } = {}) => {
+  const strata = new Map();
+  const threshold = sample.percent !== undefined ? sample.percent / 100 : null;
+  let overflow = null;
+
+  const rankOf = (path) => crypto.createHash('sha256')
+    .update(`${sample.seed}|${path}`)
+    .digest()
+    .readUInt32BE(0) / 0x100000000;
+
+  const byRank = (a, b) => a.rank - b.rank;
+
+  return {
+    offer(bucket, object) {
+      const prefix = prefixOf(object.Key, sample.prefixDepth);
+      const age = ageBandOf(object.LastModified, sample.ageBandDays, now);
+      const id = `${bucket}|${prefix}|${age}`;
+      let stratum = strata.get(id);
+      if (!stratum && strata.size >= maxStrata) {
+        overflow = overflow || { bucket: null, prefix: null, age: null, overflow: true, population: 0, selected: 0, chosen: [], lowest: null };
+        stratum = overflow;
+      } else if (!stratum) {
+        stratum = { bucket, prefix, age, population: 0, selected: 0, chosen: [], lowest: null };
+        strata.set(id, stratum);
+      }
+      stratum.population++;
+
+      const entry = { bucket, object, rank: rankOf(objectPath(bucket, object.Key, object.noncurrent && object.VersionId)) };
+      if (threshold !== null) {
+        if (entry.rank < threshold) {
+          stratum.selected++;
+          keepLowest(stratum.chosen, entry, limit);
+        } else if (!stratum.lowest || entry.rank < stratum.lowest.rank) {
+          stratum.lowest = entry;
+        }
+        return;
+      }
+
+      // Keep the `count` lowest ranks, in order
+      const chosen = stratum.chosen;
+      if (chosen.length >= sample.count && entry.rank >= chosen[chosen.length - 1].rank) {
+        return;
+      }
+      let at = chosen.length;
+      while (at > 0 && chosen[at - 1].rank > entry.rank) {
+        at--;
+      }
+      chosen.splice(at, 0, entry);
+      if (chosen.length > sample.count) {
+        chosen.pop();
+      }
+      stratum.selected = chosen.length;
+    },
+
+    select() {
+      const list = [...strata.values(), ...(overflow ? [overflow] : [])].sort((a, b) => b.population - a.population);
+      list.forEach(stratum => {
+        if (stratum.selected === 0 && stratum.lowest) {
+          stratum.chosen.push(stratum.lowest);
+          stratum.selected = 1;
+        }
+        stratum.chosen.sort(byRank);
+      });
+
+      // Shares follow how many objects each stratum selected, not the ones it held
+      const chosenTotal = list.reduce((sum, stratum) => sum + stratum.selected, 0);
+      if (chosenTotal > limit) {
+        let left = limit;
+        list.forEach(stratum => {
+          const share = Math.max(1, Math.floor(stratum.selected * limit / chosenTotal));
+          stratum.chosen = stratum.chosen.slice(0, Math.min(share, left));
+          left -= stratum.chosen.length;
+        });
+      }
+
+      const buckets = {};
+      const objectStrata = {};
+      const summary = list.map((stratum, index) => {
+        stratum.chosen.forEach(({ bucket, object }) => {
+          (buckets[bucket] = buckets[bucket] || []).push(object);
+          objectStrata[objectPath(bucket, object.Key, object.noncurrent && object.VersionId)] = index;
+        });
+        return {
+          bucket: stratum.bucket,
+          prefix: stratum.prefix,
+          age: stratum.age,
+          ...(stratum.overflow && { overflow: true }),
+          population: stratum.population,
+          sampled: stratum.chosen.length
+        };
+      });
+
+      return { strata: summary, buckets, objectStrata };
+    }
+  };
+};
+
+/**
+ * Wilson score interval for a share `p` observed over an (effective) sample of `n`
+ */
+const wilsonInterval = (p, n, z) => {
+  const z2 = z * z;
+  const denominator = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denominator;
+  const half = (z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n))) / denominator;
+  return { lower: Math.max(0, center - half), upper: Math.min(1, center + half) };
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Estimate the share of objects in which each detector fires, from the sampled objects it
+ * fired in (`hits`: detector key -> { label, strata: Map of stratum index -> object count }).
+ *
+ * The share is the stratified estimate sum(W_h * p_h) with its variance (including the
+ * finite population correction); the interval is a Wilson interval over the effective
+ * sample size that variance implies. Strata scanned in full contribute no uncertainty.
+ * Strata left unsampled by the per-scan cap are outside the estimate. The lower bounds are
+ * never below the objects the detector was actually found in.
+ */
+const estimatePrevalence = (strata, hits, confidence) => {
+  const z = zScores[confidence];
+  const covered = strata
+    .map((stratum, index) => ({ ...stratum, index }))
+    .filter(stratum => stratum.sampled > 0);
+  const population = covered.reduce((sum, stratum) => sum + stratum.population, 0);
+  const sampled = covered.reduce((sum, stratum) => sum + stratum.sampled, 0);
+  const census = covered.every(stratum => stratum.sampled >= stratum.population);
+
+  const interval = (p, variance) => {
+    if (census) {
+      return { lower: p, upper: p };
+    }
+    const effective = variance > 0 && p > 0 && p < 1 ? p * (1 - p) / variance : sampled;
+    return wilsonInterval(p, effective, z);
+  };
+
+  const estimates = Object.keys(hits).map(detector => {
+    let share = 0;
+    let variance = 0;
+    const objects = [...hits[detector].strata.values()].reduce((sum, count) => sum + count, 0);
+    covered.forEach(stratum => {
+      const p = (hits[detector].strata.get(stratum.index) || 0) / stratum.sampled;
+      const weight = stratum.population / population;
+      share += weight * p;
+      variance += weight * weight * (1 - stratum.sampled / stratum.population) *
+        p * (1 - p) / Math.max(1, stratum.sampled - 1);
+    });
+
+    const bounds = interval(share, variance);
+    const lower = Math.max(bounds.lower, population > 0 ? objects / population : 0);
+    const upper = Math.max(bounds.upper, lower);
+    return {
+      detector,
+      label: hits[detector].label,
+      sampledObjects: objects,
+      share: round(share),
+      lower: round(lower),
+      upper: round(upper),
+      estimatedObjects: Math.round(share * population),
+      estimatedObjectsLower: Math.max(objects, Math.round(lower * population)),
+      estimatedObjectsUpper: Math.round(upper * population)
+    };
+  }).sort((a, b) => b.share - a.share || a.detector.localeCompare(b.detector));
+
+  return {
+    population,
+    sampledObjects: sampled,
+    estimates,
+    // Upper bound on the share of any detector the sample did not find at all
+    notDetectedUpperBound: population > 0 ? round(interval(0, 0).upper) : 0
+  };
+};
+
+module.exports = {
+  defaultAgeBandDays,
+  normalizeSample,
+  prefixOf,
+  ageBandOf,
+  createSampler,
+  estimatePrevalence
+};
@@ -0,0 +1,176 @@
+/**
+ * Scan Scope
+ * Validates a scan scope and decides which buckets and objects it covers.
+ *
+ * A scope is a flat object; every field is optional and an empty scope covers everything:
+ *   includeBuckets / excludeBuckets     bucket name globs
+ *   includePrefixes / excludePrefixes   key prefixes (include prefixes are listed directly)
+ *   includeKeys / excludeKeys           key globs
+ *   minSize / maxSize                   object size in bytes (inclusive)
+ *   modifiedAfter / modifiedBefore      ISO 8601 dates, or modifiedWithinDays for a rolling window
+ *   skipStorageClasses                  e.g. ["GLACIER", "DEEP_ARCHIVE"]
+ */
+
+const { matchGlob, checkGlob } = require('./glob');
+
+const storageClasses = [
+  'STANDARD', 'REDUCED_REDUNDANCY', 'STANDARD_IA', 'ONEZONE_IA', 'INTELLIGENT_TIERING',
+  'GLACIER', 'DEEP_ARCHIVE', 'GLACIER_IR', 'OUTPOSTS', 'SNOW', 'EXPRESS_ONEZONE'
+];
+
+const listFields = ['includeBuckets', 'excludeBuckets', 'includePrefixes', 'excludePrefixes', 'includeKeys', 'excludeKeys', 'skipStorageClasses'];
+const globFields = ['includeBuckets', 'excludeBuckets', 'includeKeys', 'excludeKeys'];
+const sizeFields = ['minSize', 'maxSize'];
+const dateFields = ['modifiedAfter', 'modifiedBefore'];
+const scopeFields = [...listFields, ...sizeFields, ...dateFields, 'modifiedWithinDays'];
+
+/**
+ * Validate a scope; returns { scope, errors } with lists trimmed, storage classes upper-cased
+ * and unset fields left out
+ */
+const normalizeScope = (input) => {
+  const errors = [];
+  const scope = {};
+
+  if (input === undefined || input === null) {
+    return { scope, errors };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { scope, errors: ['scope must be an object'] };
+  }
+
+  Object.keys(input).forEach(field => {
+    if (!scopeFields.includes(field)) {
+      errors.push(`unknown scope field "${field}"`);
+    }
+  });
+
+  listFields.forEach(field => {
+    const value = input[field];
+    if (value === undefined || value === null) return;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+      errors.push(`${field} must be an array of non-empty strings`);
+      return;
+    }
+    if (value.length > 0) {
+      scope[field] = value.map(item => item.trim());
+    }
+  });
+
+  // Globs are matched against every listed object, so their size is bounded
+  globFields.filter(field => scope[field]).forEach(field => {
+    scope[field].forEach(glob => {
+      const problem = checkGlob(glob);
+      if (problem) {
+        errors.push(`${field} glob "${glob.slice(0, 40)}${glob.length > 40 ? '…' : ''}" ${problem}`);
+      }
+    });
+  });
+
+  if (scope.skipStorageClasses) {
+    scope.skipStorageClasses = scope.skipStorageClasses.map(item => item.toUpperCase());
+    const unknown = scope.skipStorageClasses.filter(item => !storageClasses.includes(item));
+    if (unknown.length > 0) {
+      errors.push(`unknown storage class ${unknown.join(', ')} (expected one of ${storageClasses.join(', ')})`);
+    }
+  }
+
+  sizeFields.forEach(field => {
+    const value = input[field];
+    if (value === undefined || value === null) return;
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`${field} must be a whole number of bytes`);
+      return;
+    }
+    scope[field] = value;
+  });
+  if (scope.minSize !== undefined && scope.maxSize !== undefined && scope.minSize > scope.maxSize) {
+    errors.push('minSize must not be greater than maxSize');
+  }
+
+  dateFields.forEach(field => {
+    const value = input[field];
+    if (value === undefined || value === null) return;
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push(`${field} must be an ISO 8601 date`);
+      return;
+    }
+    scope[field] = date.toISOString();
+  });
+  if (input.modifiedWithinDays !== undefined && input.modifiedWithinDays !== null) {
+    if (typeof input.modifiedWithinDays !== 'number' || !(input.modifiedWithinDays > 0)) {
+      errors.push('modifiedWithinDays must be a positive number');
+    } else if (scope.modifiedAfter) {
+      errors.push('use either modifiedAfter or modifiedWithinDays, not both');
+    } else {
+      scope.modifiedWithinDays = input.modifiedWithinDays;
+    }
+  }
+  if (scope.modifiedAfter && scope.modifiedBefore && scope.modifiedAfter >= scope.modifiedBefore) {
+    errors.push('modifiedAfter must be before modifiedBefore');
+  }
+
+  return { scope, errors };
+};
+
+/**
+ * Whether a bucket is covered by the scope
+ */
+const bucketInScope = (scope, bucketName) => {
+  if (scope.includeBuckets && !scope.includeBuckets.some(glob => matchGlob(glob, bucketName))) {
+    return false;
+  }
+  return !(scope.excludeBuckets && scope.excludeBuckets.some(glob => matchGlob(glob, bucketName)));
+};
+
+/**
+ * Why a listed object falls outside the scope ('prefix', 'key', 'size', 'modified' or
+ * 'storage_class'), or null when it is covered. `now` anchors modifiedWithinDays.
+ */
+const objectOutOfScope = (scope, object, now = new Date()) => {
+  const key = object.Key;
+  if (scope.includePrefixes && !scope.includePrefixes.some(prefix => key.startsWith(prefix))) {
+    return 'prefix';
+  }
+  if (scope.excludePrefixes && scope.excludePrefixes.some(prefix => key.startsWith(prefix))) {
+    return 'prefix';
+  }
+  if (scope.includeKeys && !scope.includeKeys.some(glob => matchGlob(glob, key))) {
+    return 'key';
+  }
+  if (scope.excludeKeys && scope.excludeKeys.some(glob => matchGlob(glob, key))) {
+    return 'key';
+  }
+
+  const size = object.Size || 0;
+  if ((scope.minSize !== undefined && size < scope.minSize) || (scope.maxSize !== undefined && size > scope.maxSize)) {
+    return 'size';
+  }
+
+  if (scope.modifiedAfter || scope.modifiedBefore || scope.modifiedWithinDays) {
+    const modified = object.LastModified ? new Date(object.LastModified).getTime() : null;
+    const after = scope.modifiedWithinDays
+      ? now.getTime() - scope.modifiedWithinDays * 24 * 60 * 60 * 1000
+      : scope.modifiedAfter && new Date(scope.modifiedAfter).getTime();
+    if (modified === null ||
+        (after && modified < after) ||
+        (scope.modifiedBefore && modified >= new Date(scope.modifiedBefore).getTime())) {
+      return 'modified';
+    }
+  }
+
+  if (scope.skipStorageClasses && scope.skipStorageClasses.includes(object.StorageClass || 'STANDARD')) {
+    return 'storage_class';
+  }
+
+  return null;
+};
+
+module.exports = {
+  storageClasses,
+  scopeFields,
+  normalizeScope,
+  bucketInScope,
+  objectOutOfScope
+};
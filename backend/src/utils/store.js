@@ -0,0 +1,91 @@
+/**
+ * JSON File Store
+ * Small persistent stores for configuration the API manages (rules, suppressions, ...).
+ * Each store is one JSON file in DATA_DIR, rewritten atomically on every save.
+ * Larger data (the scan index) goes in a sharded store: one compact JSON file per shard,
+ * read and written without blocking the event loop on disk access.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const dataDir = () => process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+/**
+ * Create a store backed by `<DATA_DIR>/<name>.json`.
+ * `defaults` is returned (as a copy) until something has been saved.
+ */
+const createStore = (name, defaults) => {
+  const file = () => path.join(dataDir(), `${name}.json`);
+
+  return {
+    load() {
+      try {
+        return JSON.parse(fs.readFileSync(file(), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return JSON.parse(JSON.stringify(defaults));
+        }
+        throw new Error(`Failed to read ${name} store: ${error.message}`);
+      }
+    },
+
+    save(data) {
+      fs.mkdirSync(dataDir(), { recursive: true });
+      // Write to a temporary file first so a crash never leaves half a file behind
+      const temporary = `${file()}.${process.pid}.tmp`;
+      fs.writeFileSync(temporary, JSON.stringify(data, null, 2));
+      fs.renameSync(temporary, file());
+    }
+  };
+};
+
+/**
+ * Create a store backed by `<DATA_DIR>/<name>/<shard>.json`. `load(shard)` returns null
+ * until the shard has been saved; `prune(maxAgeMs)` deletes shards not saved for that long.
+ */
+const createShardedStore = (name) => {
+  const directory = () => path.join(dataDir(), name);
+  const file = (shard) => path.join(directory(), `${encodeURIComponent(shard)}.json`);
+
+  return {
+    async load(shard) {
+      try {
+        return JSON.parse(await fs.promises.readFile(file(shard), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw new Error(`Failed to read ${name} store: ${error.message}`);
+      }
+    },
+
+    async save(shard, data) {
+      await fs.promises.mkdir(directory(), { recursive: true });
+      const temporary = `${file(shard)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify(data));
+      await fs.promises.rename(temporary, file(shard));
+    },
+
+    async prune(maxAgeMs) {
+      let names;
+      try {
+        names = await fs.promises.readdir(directory());
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+      const cutoff = Date.now() - maxAgeMs;
+      for (const entry of names.filter(entry => entry.endsWith('.json'))) {
+        const stats = await fs.promises.stat(path.join(directory(), entry));
+        if (stats.mtimeMs < cutoff) {
+          await fs.promises.unlink(path.join(directory(), entry));
+        }
+      }
+    }
+  };
+};
+
+module.exports = { createStore, createShardedStore };
@@ -0,0 +1,300 @@
+/**
+ * Structured File Parsing
+ * Flattens JSON, CSV, YAML and dotenv files into fields { location, name, value, rawOffset } so
+ * findings can name the JSON path, CSV column and row, YAML key path or variable.
+ * `rawOffset` is the character offset of the value in the file when it can be pinned down.
+ */
+
+const yaml = require('js-yaml');
+
+/**
+ * Determine structured type from the file name
+ */
+const structuredTypeOf = (name) => {
+  const base = name.substring(name.lastIndexOf('/') + 1).toLowerCase();
+  if (base === '.env' || base.startsWith('.env.') || base.endsWith('.env')) {
+    return 'dotenv';
+  }
+
+  const extension = base.substring(base.lastIndexOf('.'));
+  switch (extension) {
+    case '.json':
+      return 'json';
+    case '.jsonl':
+    case '.ndjson':
+      return 'jsonl';
+    case '.csv':
+      return 'csv';
+    case '.tsv':
+      return 'tsv';
+    case '.yaml':
+    case '.yml':
+      return 'yaml';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Normalise a field name for matching: camelCase and separators become snake_case
+ */
+const normalizeFieldName = (name) => String(name)
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const identifierRegex = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+const childPath = (path, key, root) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  if (identifierRegex.test(key)) {
+    return path === root ? `${root}${root ? '.' : ''}${key}` : `${path}.${key}`;
+  }
+  return `${path}['${String(key).replace(/'/g, '\\\'')}']`;
+};
+
+/**
+ * Walk a parsed JSON/YAML value, emitting one field per scalar leaf
+ */
+const walkValue = (value, path, name, root, fields) => {
+  if (value === null || value === undefined || typeof value === 'boolean') {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walkValue(item, childPath(path, index, root), name, root, fields));
+    return;
+  }
+  if (value instanceof Date) {
+    return;
+  }
+  if (typeof value === 'object') {
+    Object.keys(value).forEach(key => walkValue(value[key], childPath(path, key, root), key, root, fields));
+    return;
+  }
+  fields.push({ location: path || root, name, value: String(value) });
+};
+
+const numberRegex = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * JSON.parse rounds integers beyond 2^53, so a card or account number stored as a JSON
+ * number would no longer validate or be found in the raw text. Quote such literals
+ * (outside strings) so they parse as their exact digits.
+ */
+const quoteLargeIntegers = (text) => {
+  if (!/\d{16}/.test(text)) {
+    return text;
+  }
+
+  let result = '';
+  let last = 0;
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '-' || (char >= '0' && char <= '9')) {
+      numberRegex.lastIndex = i;
+      const literal = numberRegex.exec(text);
+      if (!literal) {
+        continue;
+      }
+      if (/^-?\d+$/.test(literal[0]) && !Number.isSafeInteger(Number(literal[0]))) {
+        result += `${text.slice(last, i)}"${literal[0]}"`;
+        last = i + literal[0].length;
+      }
+      i += literal[0].length - 1;
+    }
+  }
+  return result + text.slice(last);
+};
+
+const parseJson = (text) => {
+  const fields = [];
+  walkValue(JSON.parse(quoteLargeIntegers(text)), '$', null, '$', fields);
+  return fields;
+};
+
+const parseJsonLines = (text) => {
+  const fields = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim()) {
+      walkValue(JSON.parse(quoteLargeIntegers(line)), `line ${index + 1}: $`, null, `line ${index + 1}: $`, fields);
+    }
+  });
+  return fields;
+};
+
+const parseYaml = (text) => {
+  const fields = [];
+  const documents = yaml.loadAll(text, null, { schema: yaml.CORE_SCHEMA });
+  documents.forEach((document, index) => {
+    const root = documents.length > 1 ? `[document ${index + 1}]` : '';
+    walkValue(document, root, null, root, fields);
+  });
+  return fields;
+};
+
+/**
+ * RFC 4180 CSV parsing (quoted fields, escaped quotes, newlines inside quotes).
+ * The first row is the header; rows are numbered by record, header being row 1.
+ */
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let start = 0;
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push({ value: field, offset: start });
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+      start = i + 1;
+    } else if (char === delimiter) {
+      endField();
+      start = i + 1;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endField();
+      rows.push(row);
+      row = [];
+      start = i + 1;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endField();
+    rows.push(row);
+  }
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map((cell, index) => cell.value.trim() || `column ${index + 1}`);
+  const fields = [];
+  rows.slice(1).forEach((cells, rowIndex) => {
+    cells.forEach(({ value, offset }, columnIndex) => {
+      const column = header[columnIndex] || `column ${columnIndex + 1}`;
+      if (value.trim()) {
+        fields.push({ location: `row ${rowIndex + 2}, column ${column}`, name: column, value, rawOffset: offset });
+      }
+    });
+  });
+  return fields;
+};
+
+const parseDotenv = (text) => {
+  const fields = [];
+  let lineOffset = 0;
+  text.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '');
+    const offset = lineOffset;
+    lineOffset += rawLine.length + 1;
+
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+    if (!match) {
+      return;
+    }
+    let value = match[2].trim();
+    const quoted = value.match(/^(["'`])([\s\S]*)\1$/);
+    value = quoted ? quoted[2] : value.replace(/\s+#.*$/, '');
+    if (value) {
+      fields.push({
+        location: `${match[1]} (line ${index + 1})`,
+        name: match[1],
+        value,
+        rawOffset: offset + line.indexOf(value, line.indexOf('=') + 1)
+      });
+    }
+  });
+  return fields;
+};
+
+/**
+ * JSON and YAML parsers do not report positions, so find each value in the raw
+ * text instead, searching forward from the previous field (after its key, when
+ * it has one). Values that cannot be found, e.g. because they were escaped in the
+ * source, are left without a rawOffset.
+ */
+const attachRawOffsets = (text, fields) => {
+  let cursor = 0;
+  fields.forEach(field => {
+    const keyIndex = field.name ? text.indexOf(field.name, cursor) : -1;
+    const from = keyIndex === -1 ? cursor : keyIndex + field.name.length;
+    let index = text.indexOf(field.value, from);
+    if (index === -1) {
+      const escaped = JSON.stringify(field.value).slice(1, -1);
+      index = escaped !== field.value ? text.indexOf(escaped, from) : -1;
+    }
+    if (index !== -1) {
+      field.rawOffset = index;
+      cursor = index + field.value.length;
+    }
+  });
+  return fields;
+};
+
+const parsers = {
+  json: (text) => attachRawOffsets(text, parseJson(text)),
+  jsonl: (text) => attachRawOffsets(text, parseJsonLines(text)),
+  yaml: (text) => attachRawOffsets(text, parseYaml(text)),
+  csv: (text) => parseDelimited(text, ','),
+  tsv: (text) => parseDelimited(text, '\t'),
+  dotenv: parseDotenv
+};
+
+/**
+ * Parse structured text into fields. Returns null when the text does not parse,
+ * so callers can fall back to scanning it as plain text.
+ */
+const parseStructured = (text, type) => {
+  const parser = parsers[type];
+  if (!parser) {
+    return null;
+  }
+  try {
+    // Offsets are relative to the text without its byte order mark
+    const bom = text.startsWith('\uFEFF') ? 1 : 0;
+    const fields = parser(bom ? text.slice(1) : text);
+    if (bom) {
+      fields.forEach(field => {
+        if (field.rawOffset !== undefined) field.rawOffset += bom;
+      });
+    }
+    return fields;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  structuredTypeOf,
+  normalizeFieldName,
+  parseStructured
+};
@@ -0,0 +1,181 @@
+/**
+ * Post-match Validators
+ * Checksum and structure checks that run after a pattern's regex has matched.
+ * Each validator receives the matched text and returns { valid, reason }. A failure with
+ * `drop: true` means the value is something else entirely, so the match is discarded even
+ * by patterns that downgrade invalid matches.
+ */
+
+const { shannonEntropy } = require('./entropy');
+
+// Verhoeff multiplication, permutation and inverse tables
+const verhoeffD = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const verhoeffP = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// PAN 4th character: holder type (Person, Company, HUF, Firm, AOP, Trust, BOI, Local authority, Juridical, Government)
+const panHolderTypes = 'PCHFATBLJG';
+
+const digitsOf = (value) => String(value).replace(/\D/g, '');
+
+const result = (valid, reason) => (valid ? { valid: true } : { valid: false, reason });
+
+/**
+ * Luhn (mod 10) checksum used by payment card numbers
+ */
+const luhn = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length < 12) {
+    return result(false, 'Too few digits for a card number');
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return result(sum % 10 === 0, 'Luhn checksum failed');
+};
+
+/**
+ * Verhoeff checksum used by Aadhaar numbers
+ */
+const verhoeff = (value) => {
+  const digits = digitsOf(value);
+  let check = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const digit = parseInt(digits[digits.length - 1 - i], 10);
+    check = verhoeffD[check][verhoeffP[i % 8][digit]];
+  }
+  return result(check === 0, 'Verhoeff checksum failed');
+};
+
+/**
+ * Aadhaar: 12 digits, never starting with 0 or 1, with a valid Verhoeff check digit
+ */
+const aadhaar = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length !== 12) {
+    return result(false, 'Aadhaar numbers have 12 digits');
+  }
+  if (digits[0] === '0' || digits[0] === '1') {
+    return result(false, 'Aadhaar numbers never start with 0 or 1');
+  }
+  return verhoeff(digits);
+};
+
+/**
+ * PAN: AAAAA9999A where the 4th letter is a known holder type
+ */
+const pan = (value) => {
+  const text = String(value).toUpperCase();
+  if (!/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(text)) {
+    return result(false, 'Does not follow the AAAAA9999A structure');
+  }
+  if (!panHolderTypes.includes(text[3])) {
+    return result(false, `Unknown PAN holder type '${text[3]}'`);
+  }
+  if (text.substring(5, 9) === '0000') {
+    return result(false, 'PAN sequence number cannot be 0000');
+  }
+  return result(true);
+};
+
+/**
+ * US SSN: area not 000, 666 or 9xx; group not 00; serial not 0000
+ */
+const ssn = (value) => {
+  const digits = digitsOf(value);
+  const area = digits.substring(0, 3);
+  if (area === '000' || area === '666' || area[0] === '9') {
+    return result(false, `Invalid SSN area number ${area}`);
+  }
+  if (digits.substring(3, 5) === '00') {
+    return result(false, 'Invalid SSN group number 00');
+  }
+  if (digits.substring(5) === '0000') {
+    return result(false, 'Invalid SSN serial number 0000');
+  }
+  return result(true);
+};
+
+/**
+ * Bank account plausibility: rejects repeated digits and straight digit sequences,
+ * and drops numbers that pass Luhn as a card (those are reported as cards instead)
+ */
+const bankAccount = (value) => {
+  const digits = digitsOf(value);
+  if (/^(\d)\1+$/.test(digits)) {
+    return result(false, 'All digits are identical');
+  }
+  if ('01234567890123456789'.includes(digits) || '98765432109876543210'.includes(digits)) {
+    return result(false, 'Digits form a straight sequence');
+  }
+  if (digits.length >= 13 && digits.length <= 19 && luhn(digits).valid) {
+    return { ...result(false, 'Passes Luhn; more likely a card number'), drop: true };
+  }
+  return result(true);
+};
+
+/**
+ * Minimum Shannon entropy for fixed-length random keys (e.g. AWS secret keys),
+ * rejecting long runs like paths or repeated characters
+ */
+const highEntropy = (value) => {
+  const entropy = shannonEntropy(String(value));
+  return result(entropy >= 4.0, `Entropy ${entropy.toFixed(2)} bits/char is too low for a random key`);
+};
+
+const validators = {
+  luhn,
+  verhoeff,
+  aadhaar,
+  pan,
+  ssn,
+  bank_account: bankAccount,
+  high_entropy: highEntropy
+};
+
+/**
+ * Run a named validator against a matched value.
+ * Unknown validator names are treated as passing so a bad rule cannot hide matches.
+ */
+const runValidator = (name, value) => {
+  const validator = validators[name];
+  if (!validator) {
+    return { valid: true, reason: `Unknown validator '${name}'` };
+  }
+  return validator(value);
+};
+
+module.exports = {
+  validators,
+  runValidator,
+  luhn,
+  verhoeff
+};
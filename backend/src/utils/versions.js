@@ -0,0 +1,133 @@
+/**
+ * Object Versions
+ * Options for scanning the noncurrent versions of objects in versioned buckets, and the walk
+ * over a ListObjectVersions listing that picks which versions to scan.
+ *
+ * A secret "removed" by overwriting or deleting a file survives in the older versions, so
+ * a version scan reads the current version of every key plus up to `maxPerObject` of its
+ * noncurrent versions that became noncurrent within `maxAgeDays`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const versionFields = ['maxPerObject', 'maxAgeDays'];
+
+const defaultMaxPerObject = () => parseInt(process.env.SCAN_VERSIONS_MAX_PER_OBJECT, 10) || 5;
+const defaultMaxAgeDays = () => parseInt(process.env.SCAN_VERSIONS_MAX_AGE_DAYS, 10) || 365;
+
+/**
+ * Path that identifies a scanned object, e.g. "bucket/a.env", or "bucket/a.env?versionId=..."
+ * for a noncurrent version (pass its version id only for noncurrent versions)
+ */
+const objectPath = (bucket, key, noncurrentVersionId = null) => (noncurrentVersionId
+  ? `${bucket}/${key}?versionId=${noncurrentVersionId}`
+  : `${bucket}/${key}`);
+
+/**
+ * Validate version scan options; `true` turns version scanning on with the defaults.
+ * Returns { versions, errors } with `versions` null when version scanning was not requested.
+ */
+const normalizeVersions = (input) => {
+  const errors = [];
+
+  if (input === undefined || input === null || input === false) {
+    return { versions: null, errors };
+  }
+  if (input === true) {
+    input = {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { versions: null, errors: ['versions must be true or an object'] };
+  }
+
+  Object.keys(input).forEach(field => {
+    if (!versionFields.includes(field)) {
+      errors.push(`unknown versions field "${field}"`);
+    }
+  });
+
+  const versions = { maxPerObject: defaultMaxPerObject(), maxAgeDays: defaultMaxAgeDays() };
+  if (input.maxPerObject !== undefined && input.maxPerObject !== null) {
+    if (!Number.isInteger(input.maxPerObject) || input.maxPerObject < 1 || input.maxPerObject > 1000) {
+      errors.push('maxPerObject must be a whole number from 1 to 1000');
+    } else {
+      versions.maxPerObject = input.maxPerObject;
+    }
+  }
+  if (input.maxAgeDays !== undefined && input.maxAgeDays !== null) {
+    if (typeof input.maxAgeDays !== 'number' || !(input.maxAgeDays > 0)) {
+      errors.push('maxAgeDays must be a positive number');
+    } else {
+      versions.maxAgeDays = input.maxAgeDays;
+    }
+  }
+
+  return { versions, errors };
+};
+
+/**
+ * Put one page of a ListObjectVersions response in listing order: by key, newest first.
+ * Delete markers are flagged with `deleteMarker`.
+ */
+const versionPageEntries = (response) => [
+  ...(response.Versions || []),
+  ...(response.DeleteMarkers || []).map(marker => ({ ...marker, deleteMarker: true }))
+].sort((a, b) => {
+  if (a.Key !== b.Key) {
+    return a.Key < b.Key ? -1 : 1;
+  }
+  if (a.IsLatest !== b.IsLatest) {
+    return a.IsLatest ? -1 : 1;
+  }
+  return new Date(b.LastModified).getTime() - new Date(a.LastModified).getTime();
+});
+
+/**
+ * Create a walker over listing entries in order (pages may split a key's versions).
+ * `walk(entry)` returns { object } for a version to scan, { skipped: true } for a noncurrent
+ * version over the limits, or {} for a delete marker. Noncurrent versions are returned with
+ * `noncurrent`, `noncurrentSince` (when the next newer version or marker replaced them) and,
+ * when the key's latest entry is a delete marker, `deletedAt`.
+ */
+const createVersionWalker = (versions, now = new Date()) => {
+  let state = { key: null };
+  const maxAgeMs = versions.maxAgeDays * DAY_MS;
+
+  return (entry) => {
+    if (entry.Key !== state.key) {
+      state = { key: entry.Key, newer: null, deletedAt: null, kept: 0 };
+    }
+    const replacedAt = state.newer;
+    state.newer = entry.LastModified;
+
+    if (entry.deleteMarker) {
+      if (entry.IsLatest) {
+        state.deletedAt = entry.LastModified;
+      }
+      return {};
+    }
+    if (entry.IsLatest) {
+      return { object: entry };
+    }
+
+    const noncurrentSince = replacedAt || entry.LastModified;
+    if (state.kept >= versions.maxPerObject || now.getTime() - new Date(noncurrentSince).getTime() > maxAgeMs) {
+      return { skipped: true };
+    }
+    state.kept++;
+    return {
+      object: {
+        ...entry,
+        noncurrent: true,
+        noncurrentSince,
+        ...(state.deletedAt && { deletedAt: state.deletedAt })
+      }
+    };
+  };
+};
+
+module.exports = {
+  objectPath,
+  normalizeVersions,
+  versionPageEntries,
+  createVersionWalker
+};
@@ -0,0 +1,16 @@
+/**
+ * Match Worker
+ * Runs pattern matching for the scanner off the main thread.
+ * Message in: { id, text, patterns (serialized), settings }; out: { id, result } or { id, error }.
+ */
+
+const { parentPort } = require('worker_threads');
+const { compilePatterns, findMatches } = require('../utils/matcher');
+
+parentPort.on('message', ({ id, text, patterns, settings }) => {
+  try {
+    parentPort.postMessage({ id, result: findMatches(text, compilePatterns(patterns), settings) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,17 @@
+/**
+ * PDF Worker
+ * Extracts PDF text for the scanner off the main thread, where a slow or hostile file can
+ * be stopped when it runs out of time.
+ * Message in: { id, buffer, maxPages }; out: { id, result: { segments, pageCount } } or { id, error }.
+ */
+
+const { parentPort } = require('worker_threads');
+const { extractPdfPages } = require('../utils/extractors');
+
+parentPort.on('message', async ({ id, buffer, maxPages }) => {
+  try {
+    parentPort.postMessage({ id, result: await extractPdfPages(buffer, maxPages) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -3,7 +3,7 @@ import { ReactNode } from 'react';
 
 type BadgeProps = {
   children: ReactNode;
-  color?: 'default' | 'green' | 'red' | 'yellow' | 'blue' | 'purple';
+  color?: 'default' | 'green' | 'red' | 'yellow' | 'blue' | 'purple' | 'crimson';
   className?: string;
 };
 
@@ -19,6 +19,7 @@ export function Badge({ children, color = 'default', className }: BadgeProps) {
           'bg-yellow-100 text-yellow-800': color === 'yellow',
           'bg-blue-100 text-blue-700': color === 'blue',
           'bg-purple-100 text-purple-700': color === 'purple',
+          'bg-red-700 text-white': color === 'crimson',
         },
         className
       )}
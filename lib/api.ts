@@ -1,14 +1,41 @@
 // API functions for SafeCloud Security Scanner
 const API_BASE = 'http://localhost:8000';
 
+// Critical marks findings that are usable as found, such as credential pairs
+export type Severity = 'Critical' | 'High' | 'Medium' | 'Low';
+
 export interface ScanSummary {
   totalIssues: number;
+  uniqueSecrets?: number;
+  duplicatedSecrets?: number;
+  totalOccurrences?: number;
+  critical?: number;
   high: number;
   medium: number;
   low: number;
   complianceScore: number;
   scanDuration: number;
   estSavings: number;
+  totalObjects?: number;
+  scannedObjects?: number;
+  truncatedBuckets?: string[];
+  source?: ScanSource;
+  pluginDetectors?: string[];
+  scope?: ScanScope;
+  scopeProfile?: string | null;
+  outOfScopeObjects?: number;
+  outOfScopeReasons?: Record<string, number>;
+  fullScan?: boolean;
+  rescannedObjects?: number;
+  reusedObjects?: number;
+  regions?: RegionSummary[];
+  sampled?: boolean;
+  sample?: SampleSummary | null;
+  versions?: VersionScanSummary | null;
+  detectorTimeouts?: DetectorTimeout[];
+  detectorErrors?: DetectorTimeout[];
+  frameworks?: ComplianceFramework[];
+  suppressedIssues?: number;
   projectStatus: {
     lastScan: string;
     nextScan: string;
@@ -16,29 +43,239 @@ export interface ScanSummary {
   };
 }
 
+// Storage a scan reads from; sources other than AWS S3 are configured on the server
+export type SourceType = 's3' | 's3-compatible' | 'local';
+
+export interface ScanSource {
+  type: SourceType;
+  name: string;
+}
+
+// Buckets, objects and issues found in one AWS region
+export interface RegionSummary {
+  region: string;
+  buckets: number;
+  objects: number;
+  totalIssues: number;
+  critical?: number;
+  high: number;
+  medium: number;
+  low: number;
+}
+
+// Options for a sampling scan: percent or count objects from each prefix and age stratum
+export interface SampleOptions {
+  percent?: number;
+  count?: number;
+  prefixDepth?: number;
+  ageBandDays?: number[];
+  seed?: string;
+  confidence?: 0.9 | 0.95 | 0.99;
+}
+
+// One prefix and age stratum of a sampling scan
+export interface SampleStratum {
+  // null in the catch-all stratum for objects past the strata limit
+  bucket: string | null;
+  prefix: string | null;
+  age: string | null;
+  overflow?: boolean;
+  population: number;
+  sampled: number;
+}
+
+// Estimated share of all objects a detector fires in, with its confidence interval
+export interface PrevalenceEstimate {
+  detector: string;
+  label?: string;
+  sampledObjects: number;
+  share: number;
+  lower: number;
+  upper: number;
+  estimatedObjects: number;
+  estimatedObjectsLower: number;
+  estimatedObjectsUpper: number;
+}
+
+// A sampling scan's parameters and estimates; the rest of the summary covers the sample only
+export interface SampleSummary extends SampleOptions {
+  seed: string;
+  confidence: 0.9 | 0.95 | 0.99;
+  prefixDepth: number;
+  ageBandDays: number[];
+  population: number;
+  sampledObjects: number;
+  // Buckets whose listing stopped at the server's cap; population and estimates cover their listed keys only
+  listingTruncatedBuckets: string[];
+  strataCount: number;
+  strata: SampleStratum[];
+  estimates: PrevalenceEstimate[];
+  notDetectedUpperBound: number;
+}
+
+// Options for also scanning noncurrent object versions; true uses the server defaults
+export interface VersionOptions {
+  maxPerObject?: number;
+  maxAgeDays?: number;
+}
+
+// Noncurrent versions a scan read, skipped over its limits, and found issues only in
+export interface VersionScanSummary {
+  maxPerObject: number;
+  maxAgeDays: number;
+  noncurrentVersions: number;
+  skippedVersions: number;
+  deletedKeys: number;
+  versionOnlyIssues: number;
+}
+
+// An object on which some detectors ran out of time (or detector plugins failed), so their
+// matches may be incomplete
+export interface DetectorTimeout {
+  resource: string;
+  detectors: string[];
+}
+
+// Detector plugin keys to run or skip in one scan, on top of the plugins enabled by default
+export interface DetectorSelection {
+  enable?: string[];
+  disable?: string[];
+}
+
+// Limits a scan to some buckets and objects; every field is optional
+export interface ScanScope {
+  includeBuckets?: string[];
+  excludeBuckets?: string[];
+  includePrefixes?: string[];
+  excludePrefixes?: string[];
+  includeKeys?: string[];
+  excludeKeys?: string[];
+  minSize?: number;
+  maxSize?: number;
+  modifiedAfter?: string;
+  modifiedBefore?: string;
+  modifiedWithinDays?: number;
+  skipStorageClasses?: string[];
+}
+
+export type ComplianceStatus = 'pass' | 'fail' | 'partial' | 'not_evaluated';
+
+export interface ComplianceControl {
+  id: string;
+  title: string;
+  status: ComplianceStatus;
+  findings: number;
+  resources: string[];
+  checks?: string[];
+  failedBuckets?: string[];
+  unknownBuckets?: string[];
+}
+
+export interface ComplianceFramework {
+  key: string;
+  name: string;
+  status: ComplianceStatus;
+  score: number;
+  passedControls: number;
+  evaluatedControls: number;
+  controls: ComplianceControl[];
+}
+
 export interface ScanFinding {
   resource: string;
+  region?: string | null;
+  versionId?: string;
+  noncurrent?: boolean;
+  needsVersionPurge?: boolean;
   type: string;
-  severity: 'High' | 'Medium' | 'Low';
+  severity: Severity;
   recommendation: string;
   description?: string;
+  confidence?: number;
   id?: string;
   pattern?: string;
   location?: string;
+  snippet?: string;
+  occurrences?: MatchOccurrence[];
+  status?: 'active' | 'suppressed';
+  suppressions?: FindingSuppression[];
   timestamp?: string;
 }
 
+// One detected value grouped across every object it was found in
+export interface UniqueSecret {
+  fingerprint: string;
+  label?: string;
+  detectors: string[];
+  severity: Severity;
+  occurrences: number;
+  objectCount: number;
+  bucketCount: number;
+  locations: SecretLocation[];
+  firstSeen: string | null;
+  lastSeen: string | null;
+}
+
+export interface SecretLocation {
+  resource: string;
+  bucket: string;
+  key: string;
+  region: string | null;
+  versionId?: string;
+  noncurrent?: boolean;
+  pattern: string;
+  count: number;
+  line?: number | null;
+  column?: number | null;
+  offset?: number | null;
+  location?: string;
+}
+
+export interface FindingSuppression {
+  id: string;
+  justification: string;
+  owner: string;
+  expiresAt: string;
+}
+
+export interface MatchOccurrence {
+  line: number | null;
+  column: number | null;
+  offset: number | null;
+  location?: string;
+  snippet: string;
+  fingerprint?: string;
+  confidence: number;
+  // Credential parts the value holds (database connection strings)
+  credentialParts?: string[];
+  // The matches a Critical credential pair was built from
+  members?: CredentialPairMember[];
+}
+
+export interface CredentialPairMember {
+  pattern: string;
+  parts: string[];
+  line: number | null;
+  column: number | null;
+  offset: number | null;
+  location?: string;
+  fingerprint?: string;
+}
+
 export interface ScanResult {
   message: string;
   summary: ScanSummary;
   findingsCount: number;
+  suppressedCount?: number;
   timestamp: string;
 }
 
 export interface ScanStatus {
   isScanning: boolean;
   progress?: number;
-  currentFile?: string;
+  totalObjects?: number;
+  scannedObjects?: number;
+  currentFile?: string | null;
   timestamp: string;
 }
 
@@ -52,15 +289,19 @@ export interface AuthStatus {
 
 // Scan API functions
 export const scanAPI = {
-  // Run a new security scan
-  async runScan(): Promise<ScanResult> {
+  // Run a new security scan, optionally limited by a saved scope profile and/or a scope.
+  // Unchanged objects reuse their earlier results unless forceFullScan is set; with sample,
+  // only a stratified sample of the objects is scanned; with versions, noncurrent object
+  // versions are scanned too. source picks another configured storage source than AWS S3,
+  // and detectors turns detector plugins on or off for this scan.
+  async runScan(options: { source?: SourceType; profile?: string; scope?: ScanScope; forceFullScan?: boolean; sample?: SampleOptions; versions?: boolean | VersionOptions; detectors?: DetectorSelection } = {}): Promise<ScanResult> {
     const response = await fetch(`${API_BASE}/scan/run`, {
       method: 'POST',
       credentials: 'include',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({}),
+      body: JSON.stringify(options),
     });
 
     if (!response.ok) {
@@ -89,9 +330,14 @@ export const scanAPI = {
     return response.json();
   },
 
-  // Get scan findings
-  async getFindings(): Promise<ScanFinding[]> {
-    const response = await fetch(`${API_BASE}/scan/findings`, {
+  // Get scan findings, optionally hiding those below a confidence score (0-1).
+  // Suppressed findings are only returned when includeSuppressed is set.
+  async getFindings(minConfidence?: number, includeSuppressed = false): Promise<ScanFinding[]> {
+    const params = new URLSearchParams();
+    if (minConfidence !== undefined) params.set('minConfidence', String(minConfidence));
+    if (includeSuppressed) params.set('includeSuppressed', 'true');
+    const query = params.toString() ? `?${params.toString()}` : '';
+    const response = await fetch(`${API_BASE}/scan/findings${query}`, {
       method: 'GET',
       credentials: 'include',
       headers: {
@@ -114,10 +360,21 @@ export const scanAPI = {
       const descriptionFromDetails = f.details && (f.details.rule || f.details.description);
       return {
         resource: f.resource,
+        region: f.region,
+        versionId: f.versionId,
+        noncurrent: f.noncurrent,
+        needsVersionPurge: f.needsVersionPurge,
         type: f.type,
         severity: f.severity,
         recommendation: f.recommendation,
         description: f.description || descriptionFromDetails || '',
+        confidence: f.confidence,
+        pattern: f.pattern,
+        location: f.location,
+        snippet: f.details && f.details.occurrences && f.details.occurrences[0] && f.details.occurrences[0].snippet,
+        occurrences: f.details && f.details.occurrences,
+        status: f.status,
+        suppressions: f.suppressions,
         id: f.id || `${f.resource || 'res'}:${f.type || 'type'}:${f.severity || 'sev'}:${idx}`,
       } as ScanFinding;
     });
@@ -125,6 +382,26 @@ export const scanAPI = {
     return mapped;
   },
 
+  // Get unique secrets, optionally only those found in at least minObjects objects
+  async getSecrets(minObjects?: number): Promise<UniqueSecret[]> {
+    const query = minObjects !== undefined ? `?minObjects=${minObjects}` : '';
+    const response = await fetch(`${API_BASE}/scan/secrets${query}`, {
+      method: 'GET',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `Failed to get unique secrets: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.secrets || [];
+  },
+
   // Get scan status
   async getStatus(): Promise<ScanStatus> {
     const response = await fetch(`${API_BASE}/scan/status`, {